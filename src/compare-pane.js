@@ -0,0 +1,366 @@
+/**
+ * Comparison pane for VideFacs Components
+ * A second viewer beside the main one, showing a spread of the same or another edition
+ *
+ * Both viewers lay their pages out in the same millimetre world (see
+ * pagePlacement), so when the pane is linked it copies the other viewer's
+ * center, scale and rotation: the same spot of both spreads stays side by side
+ * at the same physical size. The viewer the pointer was last over leads, the
+ * other follows without animation.
+ */
+
+import { pagePlacement, pagesBounds } from './geometry.js'
+import { computeSpreads, spreadOf, spreadSpec, spreadSlot, parseSpreadSpec } from './spreads.js'
+
+/**
+ * Encode the pane's state for the `compare:` route segment
+ *
+ * Format: edition (URI-encoded), page spec and 'linked' if the viewports are linked:
+ *
+ *   NK:4-5:linked
+ *
+ * @param {Object} compare - { edition, pageSpec, linked }
+ * @returns {string|null} Compare spec, or null without comparison
+ */
+export function serializeCompareSpec(compare) {
+  if (!compare?.edition) return null
+  const parts = [encodeURIComponent(compare.edition)]
+  if (compare.pageSpec) parts.push(compare.pageSpec)
+  if (compare.linked) parts.push('linked')
+  return parts.join(':')
+}
+
+/**
+ * Parse a `compare:` route segment (see serializeCompareSpec)
+ * @param {string} spec - Compare spec without the 'compare:' prefix
+ * @returns {Object|null} { edition, pageSpec, linked }, or null without an edition
+ */
+export function parseCompareSpec(spec = '') {
+  const [edition, ...parts] = spec.split(':')
+  if (!edition) return null
+
+  let decoded
+  try {
+    decoded = decodeURIComponent(edition)
+  } catch (e) {
+    return null
+  }
+
+  return {
+    edition: decoded,
+    pageSpec: parts.find(part => /^\d+(-\d+)?$/.test(part)) || null,
+    linked: parts.includes('linked')
+  }
+}
+
+/**
+ * Second viewer of a VideFacsRouter
+ * Created by VideFacsRouter.syncComparePane, which also destroys it.
+ */
+export class ComparePane {
+  /**
+   * @param {VideFacsRouter} router - Router of the main viewer
+   * @param {HTMLElement} element - The .compare-pane element (see templates.comparePane)
+   */
+  constructor(router, element) {
+    this.router = router
+    this.element = element
+    this.viewerEl = element.querySelector('.compare-viewer')
+    this.listeners = new AbortController()
+    // Loaded edition: { id, pages, spreads }
+    this.edition = null
+    this.state = null
+    this.pages = []
+    // Generation counter: images and editions of an older show() are dropped
+    this.token = 0
+    this.loadController = null
+    // Viewer whose viewport the other one copies while linked: 'main' or 'pane'
+    this.leader = 'main'
+
+    this.setupControls()
+  }
+
+  /**
+   * Wire the toolbar and track which viewer leads
+   */
+  setupControls() {
+    const { signal } = this.listeners
+    const router = this.router
+
+    this.element.querySelector('.compare-edition').addEventListener('change', (e) => {
+      router.setCompare({ ...this.state, edition: e.target.value, pageSpec: null })
+    }, { signal })
+
+    this.element.querySelector('.compare-linked').addEventListener('change', (e) => {
+      router.setCompare({ ...this.state, linked: e.target.checked }, { replace: true })
+    }, { signal })
+
+    this.element.querySelector('.compare-close').addEventListener('click', () => {
+      router.setCompare(null)
+    }, { signal })
+
+    this.element.querySelector('.compare-prev').addEventListener('click', () => this.step(-1), { signal })
+    this.element.querySelector('.compare-next').addEventListener('click', () => this.step(1), { signal })
+
+    this.element.addEventListener('pointerenter', () => { this.leader = 'pane' }, { signal })
+    this.element.addEventListener('pointerleave', () => { this.leader = 'main' }, { signal })
+  }
+
+  /**
+   * Show a spread, loading its edition if needed
+   * @param {Object} compare - { edition, pageSpec, linked } (see parseCompareSpec)
+   */
+  async show(compare) {
+    const previous = this.state
+    this.state = { ...compare }
+    this.element.querySelector('.compare-edition').value = compare.edition
+    this.element.querySelector('.compare-linked').checked = !!compare.linked
+
+    if (previous?.edition === compare.edition && previous?.pageSpec === compare.pageSpec && this.edition) {
+      // Only the link changed: line up with the main viewer
+      if (compare.linked) this.follow()
+      return
+    }
+
+    const token = ++this.token
+    if (this.edition?.id !== compare.edition) {
+      const edition = await this.loadEdition(compare.edition, token)
+      if (!edition || token !== this.token) return
+      this.edition = edition
+    }
+
+    this.showPages(token)
+  }
+
+  /**
+   * Get the pages and spreads of an edition
+   * The main viewer's edition is reused, others are fetched.
+   * @param {string} editionId - Edition identifier
+   * @param {number} token - Value of token for this load
+   * @returns {Promise<Object|null>} { id, pages, spreads }, or null on failure
+   */
+  async loadEdition(editionId, token) {
+    const router = this.router
+    if (editionId === router.currentManifestId && router.currentPages) {
+      return { id: editionId, pages: router.currentPages, spreads: router.spreads }
+    }
+
+    const edition = router.config.editions[editionId]
+    if (!edition) {
+      this.setInfo(router.t('compare.unknownEdition', { edition: editionId }))
+      return null
+    }
+
+    this.loadController?.abort()
+    this.loadController = new AbortController()
+    this.setInfo(router.t('status.loadingEdition'))
+
+    try {
+      const data = await router.fetchEdition(editionId, { signal: this.loadController.signal })
+      const pages = data.source.pages
+      return { id: editionId, pages, spreads: computeSpreads(pages, edition.spreads) }
+    } catch (error) {
+      if (error.name === 'AbortError' || token !== this.token) return null
+      console.error('Error loading comparison edition:', error)
+      this.setInfo(router.t('error.loadMessage', { message: error.message }))
+      return null
+    }
+  }
+
+  /**
+   * Lay out the spread of the current state in the pane's viewer
+   * @param {number} token - Value of token for the images
+   */
+  showPages(token) {
+    const { pages, spreads } = this.edition
+    const requested = parseSpreadSpec(this.state.pageSpec || '')
+    const spread = spreadOf(spreads, requested[0]) || spreads[0] || []
+    // Keep a single page of a spread when asked for one, as the main viewer does
+    const indices = requested.length === 1 && spread.includes(requested[0]) ? requested : spread
+    this.pageIndices = indices
+    this.pages = indices.map(pageIndex => pages[pageIndex - 1]).filter(p => p)
+
+    this.updateInfo()
+    if (this.pages.length === 0) return
+
+    if (!this.viewer) this.createViewer()
+    this.viewer.world.removeAll()
+
+    const placementOf = page => this.calculatePagePosition(page)
+    const { x, y, width, height } = pagesBounds(this.pages, placementOf, 50)
+    const bounds = new OpenSeadragon.Rect(x, y, width, height)
+
+    this.pages.forEach((page, index) => {
+      const placement = placementOf(page)
+      this.viewer.addTiledImage({
+        tileSource: placement.tileSource,
+        x: placement.x,
+        y: placement.y,
+        width: placement.width,
+        degrees: placement.degrees,
+        success: (event) => {
+          if (token !== this.token) {
+            this.viewer?.world.removeItem(event.item)
+            return
+          }
+          if (index === this.pages.length - 1) this.fitPages(bounds)
+        },
+        error: (event) => {
+          if (token !== this.token) return
+          console.error(`Error loading comparison page ${indices[index]}:`, event)
+        }
+      })
+    })
+  }
+
+  /**
+   * Place a page in the pane's world (see pagePlacement)
+   * @param {Object} page - Page object
+   * @returns {Object} Placement
+   */
+  calculatePagePosition(page) {
+    const pageIndex = this.edition.pages.indexOf(page) + 1
+    return pagePlacement(page, spreadSlot(this.edition.spreads, pageIndex, page))
+  }
+
+  /**
+   * Create the pane's OpenSeadragon viewer
+   */
+  createViewer() {
+    const router = this.router
+    this.viewer = OpenSeadragon({
+      element: this.viewerEl,
+      prefixUrl: `${router.config.vendorPath}images/`,
+      showNavigationControl: false,
+      showFullPageControl: false,
+      homeFillsViewer: false,
+      visibilityRatio: 0.1,
+      constrainDuringPan: false,
+      // Same drawer as the main viewer, so the image adjustments apply here too
+      drawer: 'canvas',
+      crossOriginPolicy: 'Anonymous',
+      gestureSettingsTouch: {
+        pinchRotate: true
+      },
+      timeout: 120000,
+      immediateRender: false,
+      maxImageCacheCount: 200,
+      preload: true,
+      silenceMultiImageWarnings: true
+    })
+
+    this.viewer.addHandler('viewport-change', () => {
+      if (this.state?.linked && this.leader === 'pane') this.lead()
+    })
+    router.setupEnhancement(this.viewer)
+  }
+
+  /**
+   * Fit the viewport to the loaded spread and derive the zoom limits from it
+   * A linked pane lines up with the main viewer instead.
+   * @param {OpenSeadragon.Rect} bounds - Bounds of the spread
+   */
+  fitPages(bounds) {
+    const viewport = this.viewer.viewport
+    viewport.fitBounds(bounds, true)
+    viewport.minZoomLevel = viewport.getZoom() * 0.5
+    viewport.maxZoomLevel = viewport.getZoom() * 20
+    viewport.fitBounds(bounds, true)
+
+    if (this.state.linked) this.follow()
+  }
+
+  /**
+   * Show the previous or next spread of the pane's edition
+   * @param {number} direction - -1 or 1
+   */
+  step(direction) {
+    if (!this.edition) return
+    const spreads = this.edition.spreads
+    const index = spreads.findIndex(spread => spread.includes(this.pageIndices?.[0]))
+    const spread = spreads[index + direction]
+    if (index === -1 || !spread) return
+    this.router.setCompare({ ...this.state, pageSpec: spreadSpec(spread) })
+  }
+
+  /**
+   * Show the shown pages and enable the previous/next buttons
+   */
+  updateInfo() {
+    const t = this.router.t
+    const indices = this.pageIndices || []
+    const total = this.edition.pages.length
+    this.setInfo(indices.length === 2
+      ? t('page.infoPair', { first: indices[0], second: indices[1], total })
+      : t('page.info', { page: indices[0], total }))
+
+    const spreads = this.edition.spreads
+    const index = spreads.findIndex(spread => spread.includes(indices[0]))
+    this.element.querySelector('.compare-prev').disabled = index <= 0
+    this.element.querySelector('.compare-next').disabled = index === -1 || index >= spreads.length - 1
+  }
+
+  /**
+   * Show a status or page info text in the toolbar
+   * @param {string} text
+   */
+  setInfo(text) {
+    this.element.querySelector('.compare-info').textContent = text
+  }
+
+  /**
+   * Copy the view of a viewer, keeping the scale in screen pixels per mm
+   * @param {Object} source - OpenSeadragon viewer to copy
+   * @param {Object} target - OpenSeadragon viewer to move
+   * @param {Object} offset - { x, y } in mm added to the source's center
+   */
+  static copyViewport(source, target, offset) {
+    const from = source.viewport
+    const to = target.viewport
+    const sourceWidth = from.getContainerSize().x
+    const targetWidth = to.getContainerSize().x
+    if (!sourceWidth || !targetWidth) return
+
+    const center = from.getCenter(true)
+    to.setRotation(from.getRotation(true), true)
+    to.zoomTo(from.getZoom(true) * sourceWidth / targetWidth, null, true)
+    to.panTo(new OpenSeadragon.Point(center.x + offset.x, center.y + offset.y), true)
+  }
+
+  /**
+   * Line the pane up with the main viewer
+   */
+  follow() {
+    const main = this.router.viewer
+    if (!this.viewer || !main || this.viewer.world.getItemCount() === 0) return
+    const origin = this.router.getSpreadOrigin()
+    ComparePane.copyViewport(main, this.viewer, { x: 0, y: -origin })
+  }
+
+  /**
+   * Line the main viewer up with the pane
+   */
+  lead() {
+    const main = this.router.viewer
+    if (!this.viewer || !main) return
+    const origin = this.router.getSpreadOrigin()
+    ComparePane.copyViewport(this.viewer, main, { x: 0, y: origin })
+  }
+
+  /**
+   * Destroy the viewer and remove all listeners
+   */
+  destroy() {
+    this.token++
+    this.listeners.abort()
+    this.loadController?.abort()
+    if (this.viewer) {
+      try {
+        this.viewer.destroy()
+      } catch (e) {
+        console.warn('Error destroying comparison viewer:', e)
+      }
+      this.viewer = null
+    }
+  }
+}
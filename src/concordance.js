@@ -0,0 +1,92 @@
+/**
+ * Concordance for VideFacs Components
+ * Page numbers of the reconstructed notebook against sources and their page labels
+ *
+ * An entry is { page, spread, side, source, label }: the 1-based page index in
+ * the notebook, the page spec of its spread, 'verso' or 'recto', the source it
+ * is kept in today (surfaceDoc) and its page or folio label there (surfaceLabel).
+ */
+
+import { spreadOf, spreadSpec, spreadSlot } from './spreads.js'
+import { groupBySource } from './sources.js'
+
+/**
+ * Entry orders
+ *   notebook: pages as reconstructed
+ *   source: sources in order of appearance, their pages in the source's own order
+ */
+export const concordanceOrders = ['notebook', 'source']
+
+// Columns of the CSV export, in order
+const CSV_COLUMNS = ['page', 'spread', 'side', 'source', 'label']
+
+/**
+ * List the concordance entries of an edition
+ * @param {Array} pages - Page objects of the edition
+ * @param {Array} spreads - Result of computeSpreads
+ * @param {string} order - One of concordanceOrders
+ * @returns {Array} Entries
+ */
+export function buildConcordance(pages = [], spreads = [], order = 'notebook') {
+  const entry = pageIndex => {
+    const page = pages[pageIndex - 1]
+    const spread = spreadOf(spreads, pageIndex)
+    return {
+      page: pageIndex,
+      spread: spread ? spreadSpec(spread) : `${pageIndex}`,
+      side: spreadSlot(spreads, pageIndex, page),
+      source: page.surfaceDoc || '',
+      label: page.surfaceLabel ? `${page.surfaceLabel}` : ''
+    }
+  }
+
+  if (order !== 'source') return pages.map((page, index) => entry(index + 1))
+
+  // Pages without a source follow the sources, in notebook order
+  const sourced = groupBySource(pages).flatMap(source => source.pageIndices)
+  const listed = new Set(sourced)
+  const unsourced = pages.map((page, index) => index + 1).filter(pageIndex => !listed.has(pageIndex))
+  return [...sourced, ...unsourced].map(entry)
+}
+
+/**
+ * Check whether an entry matches a search
+ * Every word of the query has to occur in the source or the label ("bsk 21 1r").
+ * @param {Object} entry - Concordance entry
+ * @param {string} query - Search text
+ * @returns {boolean}
+ */
+export function matchesConcordanceQuery(entry, query = '') {
+  const text = `${entry.source} ${entry.label}`.toLowerCase()
+  return query.toLowerCase().split(/\s+/).filter(word => word).every(word => text.includes(word))
+}
+
+/**
+ * Quote a CSV field if needed (RFC 4180)
+ * @param {*} value
+ * @returns {string}
+ */
+function csvField(value) {
+  const text = `${value}`
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text
+}
+
+/**
+ * Format entries as CSV with a header row
+ * @param {Array} entries - Concordance entries
+ * @returns {string}
+ */
+export function concordanceToCsv(entries) {
+  const rows = [CSV_COLUMNS, ...entries.map(entry => CSV_COLUMNS.map(column => entry[column]))]
+  return rows.map(row => row.map(csvField).join(',')).join('\r\n') + '\r\n'
+}
+
+/**
+ * Format entries as JSON
+ * @param {Array} entries - Concordance entries
+ * @param {Object} meta - { edition, label, order, query } stored alongside the entries
+ * @returns {string}
+ */
+export function concordanceToJson(entries, meta = {}) {
+  return JSON.stringify({ ...meta, pages: entries }, null, 2)
+}
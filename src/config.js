@@ -0,0 +1,198 @@
+/**
+ * Configuration for VideFacs Components
+ * Collects deployment-specific settings from element attributes and a JS config object
+ */
+
+/**
+ * Default settings, matching the original hardcoded values
+ */
+export const defaultConfig = {
+  basePath: '/facs',
+  // 'history' (clean URLs, needs server support), 'hash' (static hosting)
+  // or 'memory' (never touches window.location)
+  routing: 'history',
+  vendorPath: '/vide-component-facsimile/dist/vendor/openseadragon/',
+  // Compiled styles loaded into the shadow root (vide-facs.css next to this module,
+  // written to dist/ by the build and to src/ by watch:css)
+  stylesheet: new URL('./vide-facs.css', import.meta.url).href,
+  // UI language ('de' or 'en'); null follows the document's lang
+  lang: null,
+  // Page layout: 'spread' (double pages), 'single' or 'auto'
+  layout: 'spread',
+  // Element width (px) below which the auto layout shows single pages
+  singlePageWidth: 768,
+  // Scroll continuously through all spreads instead of paging spread by spread
+  scroll: false,
+  // Space around a writing zone when zooming to it, in mm
+  zonePadding: 10,
+  // URL of a zone's transcription: {file} is its atFilename, {version} 'diplomatic'
+  // or 'edited' (see transcription.js); null hides the transcription button
+  transcriptionUrl: null,
+  // Verovio WASM toolkit used to engrave transcriptions
+  verovioPath: '/vide-component-facsimile/dist/vendor/verovio/verovio-toolkit-wasm.js',
+  defaultEdition: null,
+  editions: {
+    NK: {
+      url: '/temp/edition.json',
+      label: 'Ludwig van Beethoven: Notirungsbuch K'
+    }
+  }
+}
+
+/**
+ * Supported values of the routing setting
+ */
+export const routingModes = ['history', 'hash', 'memory']
+
+/**
+ * Supported values of the layout setting, in the order the layout control cycles through
+ */
+export const layoutModes = ['spread', 'single', 'auto']
+
+/**
+ * Build the href of a route path ('/NK/p2/') for the configured routing mode
+ * Hash mode yields '#/NK/p2/', the other modes prefix the base path.
+ * @param {Object} config - Resolved configuration
+ * @param {string} path - Route path relative to the base path
+ * @returns {string}
+ */
+export function routeHref(config, path) {
+  return config.routing === 'hash' ? `#${path}` : `${config.basePath}${path}`
+}
+
+/**
+ * Normalise an edition registry so that every entry has a url and a label
+ * Entries may be given as plain URL strings or as { url, label } objects
+ * @param {Object} editions - Map of edition id to URL string or entry object
+ * @returns {Object} Map of edition id to { url, label }
+ */
+export function normalizeEditions(editions = {}) {
+  const normalized = {}
+
+  Object.entries(editions).forEach(([id, entry]) => {
+    if (typeof entry === 'string') {
+      normalized[id] = { url: entry, label: id }
+    } else if (entry && entry.url) {
+      normalized[id] = { ...entry, label: entry.label || id }
+    } else {
+      console.warn(`[VideFacs] Ignoring edition "${id}" without url`)
+    }
+  })
+
+  return normalized
+}
+
+/**
+ * Strip trailing slashes from a base path ('/facs/' -> '/facs', '/' -> '')
+ * @param {string} path - Base path
+ * @returns {string}
+ */
+function normalizeBasePath(path) {
+  return path.replace(/\/+$/, '')
+}
+
+/**
+ * Ensure a directory path ends with a slash
+ * @param {string} path - Directory path
+ * @returns {string}
+ */
+function ensureTrailingSlash(path) {
+  return path.endsWith('/') ? path : path + '/'
+}
+
+/**
+ * Read configuration from a <vide-facs> element
+ *
+ * Precedence (highest first):
+ *   1. Attributes: lang, base-path, routing, layout, scroll, vendor-path, stylesheet, zone-padding,
+ *      transcription-url, verovio-path, default-edition, editions (JSON),
+ *      edition-url (+ optional edition-id, edition-label) for a single edition
+ *   2. The element's `config` property (set from JS before the element connects)
+ *   3. defaultConfig
+ *
+ * @param {HTMLElement} element - The <vide-facs> element
+ * @returns {Object} Resolved configuration
+ */
+export function resolveConfig(element) {
+  const jsConfig = element.config || {}
+  const config = { ...defaultConfig, ...jsConfig }
+
+  // A JS config with its own registry replaces the default one entirely
+  let editions = jsConfig.editions || defaultConfig.editions
+
+  const editionsAttr = element.getAttribute('editions')
+  if (editionsAttr) {
+    try {
+      editions = JSON.parse(editionsAttr)
+    } catch (e) {
+      console.error('[VideFacs] Invalid JSON in editions attribute:', e)
+    }
+  }
+
+  const editionUrl = element.getAttribute('edition-url')
+  if (editionUrl) {
+    const editionId = element.getAttribute('edition-id') || 'NK'
+    editions = {
+      [editionId]: {
+        url: editionUrl,
+        label: element.getAttribute('edition-label') || editionId
+      }
+    }
+  }
+
+  config.editions = normalizeEditions(editions)
+
+  if (element.hasAttribute('base-path')) {
+    config.basePath = element.getAttribute('base-path')
+  }
+  if (element.hasAttribute('lang')) {
+    config.lang = element.getAttribute('lang')
+  }
+  if (element.hasAttribute('routing')) {
+    config.routing = element.getAttribute('routing')
+  }
+  if (element.hasAttribute('layout')) {
+    config.layout = element.getAttribute('layout')
+  }
+  if (element.hasAttribute('scroll')) {
+    config.scroll = element.getAttribute('scroll') !== 'false'
+  }
+  if (element.hasAttribute('vendor-path')) {
+    config.vendorPath = element.getAttribute('vendor-path')
+  }
+  if (element.hasAttribute('stylesheet')) {
+    config.stylesheet = element.getAttribute('stylesheet')
+  }
+  if (element.hasAttribute('zone-padding')) {
+    const zonePadding = parseFloat(element.getAttribute('zone-padding'))
+    if (!isNaN(zonePadding)) config.zonePadding = zonePadding
+  }
+  if (element.hasAttribute('transcription-url')) {
+    config.transcriptionUrl = element.getAttribute('transcription-url')
+  }
+  if (element.hasAttribute('verovio-path')) {
+    config.verovioPath = element.getAttribute('verovio-path')
+  }
+  if (element.hasAttribute('default-edition')) {
+    config.defaultEdition = element.getAttribute('default-edition')
+  }
+
+  config.basePath = normalizeBasePath(config.basePath)
+  config.lang = config.lang || document.documentElement.lang || null
+  if (!layoutModes.includes(config.layout)) {
+    console.warn(`[VideFacs] Unknown layout "${config.layout}", using spread`)
+    config.layout = 'spread'
+  }
+  if (!routingModes.includes(config.routing)) {
+    console.warn(`[VideFacs] Unknown routing mode "${config.routing}", using history`)
+    config.routing = 'history'
+  }
+  config.vendorPath = ensureTrailingSlash(config.vendorPath)
+
+  // Fall back to the first registered edition
+  if (!config.defaultEdition || !config.editions[config.defaultEdition]) {
+    config.defaultEdition = Object.keys(config.editions)[0] || null
+  }
+
+  return config
+}
@@ -0,0 +1,214 @@
+/**
+ * Image enhancement for VideFacs Components
+ * Pixel adjustments that make faded pencil and ink legible
+ *
+ * Settings are applied to the pixels of every tile before it is drawn
+ * (see VideFacsRouter.setupEnhancement): first a colour channel is isolated
+ * or the tile turned grey, then brightness, contrast and gamma are applied,
+ * then the result is inverted and finally thresholded to black and white.
+ */
+
+/**
+ * Settings that leave the image unchanged
+ *   brightness, contrast: -100 to 100
+ *   gamma: 0.2 to 3 (below 1 darkens mid tones such as faint strokes)
+ *   channel: 'all', 'red', 'green' or 'blue'
+ *   threshold: null or 1 to 254 (pixels darker than it turn black, others white)
+ */
+export const defaultEnhancement = {
+  brightness: 0,
+  contrast: 0,
+  gamma: 1,
+  greyscale: false,
+  invert: false,
+  channel: 'all',
+  threshold: null
+}
+
+/**
+ * Named combinations of settings
+ */
+export const enhancementPresets = {
+  // Grey pencil on yellowed paper: drop colour, darken mid tones, spread the contrast
+  pencil: { ...defaultEnhancement, greyscale: true, contrast: 50, gamma: 0.6, brightness: 10 },
+  // Iron gall ink stands out best in the blue channel
+  ink: { ...defaultEnhancement, channel: 'blue', contrast: 30 }
+}
+
+const CHANNELS = ['all', 'red', 'green', 'blue']
+
+// sessionStorage key of the settings last used in this tab
+const STORAGE_KEY = 'vide-facs:enhancement'
+
+/**
+ * Clamp a number to a range, falling back for non-numbers
+ * @param {*} value
+ * @param {number} min
+ * @param {number} max
+ * @param {number} fallback
+ * @returns {number}
+ */
+function clamp(value, min, max, fallback) {
+  const number = Number(value)
+  if (value === null || value === '' || isNaN(number)) return fallback
+  return Math.min(max, Math.max(min, number))
+}
+
+/**
+ * Complete and bound a settings object
+ * @param {Object} settings - Partial settings
+ * @returns {Object} Settings with every key of defaultEnhancement
+ */
+export function normalizeEnhancement(settings = {}) {
+  return {
+    brightness: clamp(settings.brightness, -100, 100, 0),
+    contrast: clamp(settings.contrast, -100, 100, 0),
+    gamma: clamp(settings.gamma, 0.2, 3, 1),
+    greyscale: !!settings.greyscale,
+    invert: !!settings.invert,
+    channel: CHANNELS.includes(settings.channel) ? settings.channel : 'all',
+    threshold: settings.threshold === null || settings.threshold === undefined
+      ? null
+      : clamp(settings.threshold, 1, 254, null)
+  }
+}
+
+/**
+ * Check whether settings leave the image unchanged
+ * @param {Object} settings - Normalised settings
+ * @returns {boolean}
+ */
+export function isDefaultEnhancement(settings) {
+  return Object.entries(defaultEnhancement).every(([key, value]) => settings[key] === value)
+}
+
+/**
+ * Read the settings last used in this browser tab
+ * @returns {Object} Normalised settings (the default if none were stored)
+ */
+export function loadSessionEnhancement() {
+  try {
+    return normalizeEnhancement(JSON.parse(sessionStorage.getItem(STORAGE_KEY)) || {})
+  } catch (e) {
+    return normalizeEnhancement()
+  }
+}
+
+/**
+ * Remember settings for the rest of the browser session
+ * @param {Object} settings - Normalised settings
+ */
+export function saveSessionEnhancement(settings) {
+  try {
+    sessionStorage.setItem(STORAGE_KEY, JSON.stringify(settings))
+  } catch (e) {
+    // Storage may be unavailable (privacy settings, sandboxed frames)
+  }
+}
+
+/**
+ * Build the lookup table for brightness, contrast and gamma
+ * @param {Object} settings - Normalised settings
+ * @returns {Uint8ClampedArray} Output value for each input value 0-255
+ */
+export function buildToneTable(settings) {
+  const table = new Uint8ClampedArray(256)
+  const contrast = Math.tan((settings.contrast + 100) / 200 * Math.PI / 2)
+
+  for (let value = 0; value < 256; value++) {
+    let v = value / 255
+    v = Math.pow(v, 1 / settings.gamma)
+    v = (v - 0.5) * contrast + 0.5
+    v += settings.brightness / 100
+    table[value] = Math.round(v * 255)
+  }
+  return table
+}
+
+/**
+ * Apply settings to RGBA pixel data in place
+ * @param {Uint8ClampedArray} data - ImageData.data
+ * @param {Object} settings - Normalised settings
+ * @param {Uint8ClampedArray} table - Result of buildToneTable for the settings
+ */
+export function applyEnhancement(data, settings, table) {
+  if (isDefaultEnhancement(settings)) return
+
+  const channel = CHANNELS.indexOf(settings.channel) - 1
+  for (let i = 0; i < data.length; i += 4) {
+    let r = data[i]
+    let g = data[i + 1]
+    let b = data[i + 2]
+
+    if (channel >= 0) {
+      r = g = b = data[i + channel]
+    } else if (settings.greyscale) {
+      r = g = b = Math.round(0.299 * r + 0.587 * g + 0.114 * b)
+    }
+
+    r = table[r]
+    g = table[g]
+    b = table[b]
+
+    if (settings.invert) {
+      r = 255 - r
+      g = 255 - g
+      b = 255 - b
+    }
+
+    if (settings.threshold !== null) {
+      r = g = b = (0.299 * r + 0.587 * g + 0.114 * b) < settings.threshold ? 0 : 255
+    }
+
+    data[i] = r
+    data[i + 1] = g
+    data[i + 2] = b
+  }
+}
+
+/**
+ * Encode settings for the `enhance:` route segment
+ *
+ * Format: comma-separated entries for the settings that differ from the default,
+ * in the order of defaultEnhancement:
+ *
+ *   b=10,c=50,g=0.6,grey,invert,ch=blue,th=140
+ *
+ * @param {Object} settings - Normalised settings
+ * @returns {string|null} Enhance spec, or null for the default settings
+ */
+export function serializeEnhanceSpec(settings) {
+  const entries = []
+  if (settings.brightness !== 0) entries.push(`b=${settings.brightness}`)
+  if (settings.contrast !== 0) entries.push(`c=${settings.contrast}`)
+  if (settings.gamma !== 1) entries.push(`g=${settings.gamma}`)
+  if (settings.greyscale) entries.push('grey')
+  if (settings.invert) entries.push('invert')
+  if (settings.channel !== 'all') entries.push(`ch=${settings.channel}`)
+  if (settings.threshold !== null) entries.push(`th=${settings.threshold}`)
+  return entries.length > 0 ? entries.join(',') : null
+}
+
+/**
+ * Parse an `enhance:` route segment (see serializeEnhanceSpec)
+ * Unknown entries are ignored.
+ * @param {string} spec - Enhance spec without the 'enhance:' prefix
+ * @returns {Object} Normalised settings
+ */
+export function parseEnhanceSpec(spec = '') {
+  const keys = { b: 'brightness', c: 'contrast', g: 'gamma', ch: 'channel', th: 'threshold' }
+  const settings = {}
+
+  spec.split(',').filter(entry => entry).forEach(entry => {
+    if (entry === 'grey') {
+      settings.greyscale = true
+    } else if (entry === 'invert') {
+      settings.invert = true
+    } else {
+      const [name, value] = entry.split('=')
+      if (keys[name]) settings[keys[name]] = value
+    }
+  })
+
+  return normalizeEnhancement(settings)
+}
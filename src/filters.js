@@ -0,0 +1,389 @@
+/**
+ * Sketch Filters for VideFacs Components
+ * Facet values of writing zones and matching against the filter panel state
+ *
+ * Filters are an object of facet name -> array of selected values.
+ * A zone matches if, for every facet with a selection, it has at least one
+ * of the selected values (AND across facets, OR within a facet).
+ */
+
+/**
+ * Facet names mapped to the `name` of their checkboxes in the filter panel
+ */
+export const facets = {
+  key: 'key',
+  keyStatus: 'key-status',
+  meter: 'meter',
+  meterStatus: 'meter-status',
+  clef: 'clef',
+  length: 'length',
+  staves: 'staves',
+  clarification: 'clarification',
+  navigation: 'navigation',
+  work: 'work'
+}
+
+/**
+ * Key signatures from seven flats to seven sharps, as used in sketchProps.keySig
+ */
+export const keySignatures = [
+  '7f', '6f', '5f', '4f', '3f', '2f', '1f', '0',
+  '1s', '2s', '3s', '4s', '5s', '6s', '7s'
+]
+
+// Clef shapes as found in sketch data, mapped to filter values
+const CLEF_VALUES = {
+  g: 'treble',
+  treble: 'treble',
+  f: 'bass',
+  bass: 'bass',
+  c: 'c'
+}
+
+/**
+ * Create a filter state without any selection
+ * @returns {Object}
+ */
+export function emptyFilters() {
+  return Object.fromEntries(Object.keys(facets).map(facet => [facet, []]))
+}
+
+/**
+ * Check whether any facet has a selection
+ * @param {Object} filters - Filter state
+ * @returns {boolean}
+ */
+export function hasActiveFacets(filters) {
+  return Object.values(filters || {}).some(values => values.length > 0)
+}
+
+/**
+ * Get the value of a sketch property given either plainly or as { val, supplied }
+ * @param {*} prop - Property
+ * @returns {*}
+ */
+function valueOf(prop) {
+  return prop && typeof prop === 'object' ? prop.val : prop
+}
+
+/**
+ * Normalise an opus number for comparison ('Op. 125' -> 'Op.125')
+ * @param {string} opus - Opus number
+ * @returns {string}
+ */
+export function normalizeOpus(opus) {
+  return `${opus || ''}`.replace(/\s+/g, '')
+}
+
+/**
+ * Get the movement position of a work relation target
+ * @param {Object} target - Relation target
+ * @returns {string|null}
+ */
+export function relationMdivPos(target) {
+  if (!target) return null
+  const mdivPos = target.mdivPos ||
+    target.start?.mdivPos ||
+    target.end?.mdivPos ||
+    (target.name === 'mdiv' ? target.label : null)
+  return mdivPos ? `${mdivPos}` : null
+}
+
+/**
+ * Get the work keys of a zone ('Op.125' and 'Op.125-4' for movement 4)
+ * Zones without work relations yield 'unknown'.
+ * @param {Object} zone - Writing zone
+ * @returns {Array<string>}
+ */
+export function zoneWorkKeys(zone) {
+  const relations = zone.workRelations || []
+  if (relations.length === 0) return ['unknown']
+
+  const keys = new Set()
+  relations.forEach(relation => {
+    const work = normalizeOpus(relation.opus) || relation.work
+    if (!work) return
+    keys.add(work)
+    const mdivPos = relationMdivPos(relation.target)
+    if (mdivPos) keys.add(`${work}-${mdivPos}`)
+  })
+
+  return keys.size > 0 ? [...keys] : ['unknown']
+}
+
+/**
+ * Classify a sketch length in measures
+ * @param {number} measures - Number of measures
+ * @returns {string|null} 'short' (up to 5), 'medium' (6-10) or 'long' (more than 10)
+ */
+export function lengthClass(measures) {
+  if (!measures) return null
+  if (measures <= 5) return 'short'
+  if (measures <= 10) return 'medium'
+  return 'long'
+}
+
+/**
+ * Get the values a zone has for every facet
+ * @param {Object} zone - Writing zone
+ * @returns {Object} Facet name -> array of values
+ */
+export function zoneFacetValues(zone) {
+  const sketch = zone.sketchProps || {}
+  const wz = zone.wzProps || {}
+
+  const keySig = valueOf(sketch.keySig)
+  const meterSig = valueOf(sketch.meterSig)
+  const measures = parseInt(valueOf(sketch.atMeasures), 10)
+  const staves = valueOf(sketch.staves)
+  const clefs = [].concat(sketch.clefs || sketch.clef || [])
+    .map(clef => CLEF_VALUES[`${valueOf(clef)}`.toLowerCase()])
+    .filter(clef => clef)
+
+  let meterStatus = 'missing'
+  if (meterSig) {
+    meterStatus = sketch.meterSig.supplied ? 'supplied' : 'original'
+  }
+
+  return {
+    key: keySig ? [`${keySig}`] : [],
+    keyStatus: keySig ? [sketch.keySig.supplied ? 'supplied' : 'original'] : [],
+    meter: meterSig ? [`${meterSig}`] : [],
+    meterStatus: [meterStatus],
+    clef: clefs.length > 0 ? [...new Set(clefs)] : ['unset'],
+    length: [lengthClass(measures)].filter(value => value),
+    staves: staves ? [`${staves}`] : [],
+    clarification: [wz.metaClarification ? 'yes' : 'no'],
+    navigation: [wz.metaNavigation ? 'yes' : 'no'],
+    work: zoneWorkKeys(zone)
+  }
+}
+
+/**
+ * Check whether a zone matches the filters
+ * @param {Object} zone - Writing zone
+ * @param {Object} filters - Filter state
+ * @returns {boolean}
+ */
+export function zoneMatchesFilters(zone, filters) {
+  if (!hasActiveFacets(filters)) return true
+
+  const values = zoneFacetValues(zone)
+  return Object.entries(filters).every(([facet, selected]) =>
+    selected.length === 0 || selected.some(value => values[facet]?.includes(value))
+  )
+}
+
+/**
+ * Read the checked facet values from the filter panel
+ * @param {HTMLElement} container - Filter panel element
+ * @returns {Object} Filter state
+ */
+export function readFilterForm(container) {
+  const filters = emptyFilters()
+  Object.entries(facets).forEach(([facet, name]) => {
+    container.querySelectorAll(`input[name="${name}"]:checked`).forEach(input => {
+      filters[facet].push(input.value)
+    })
+  })
+  return filters
+}
+
+/**
+ * Check the facet checkboxes of the filter panel according to a filter state
+ * @param {HTMLElement} container - Filter panel element
+ * @param {Object} filters - Filter state
+ */
+export function writeFilterForm(container, filters) {
+  Object.entries(facets).forEach(([facet, name]) => {
+    container.querySelectorAll(`input[name="${name}"]`).forEach(input => {
+      input.checked = (filters[facet] || []).includes(input.value)
+    })
+  })
+}
+
+/**
+ * Write a facet value for the filter spec (see serializeFilterSpec)
+ * @param {string} facet - Facet name (key of `facets`)
+ * @param {string} value - Facet value
+ * @returns {string}
+ */
+function encodeSpecValue(facet, value) {
+  const text = facet === 'meter' ? `${value}`.replace(/\//g, '-') : `${value}`
+  return text
+    .replace(/[%,|=~]/g, char => `%${char.charCodeAt(0).toString(16).toUpperCase()}`)
+    .replace(/\//g, '~')
+}
+
+/**
+ * Read a facet value of the filter spec (see encodeSpecValue)
+ * @param {string} facet - Facet name (key of `facets`)
+ * @param {string} value - Encoded value
+ * @returns {string}
+ */
+function decodeSpecValue(facet, value) {
+  let decoded = value.replace(/~/g, '/')
+  if (facet === 'meter') decoded = decoded.replace(/-/g, '/')
+  try {
+    return decodeURIComponent(decoded)
+  } catch (e) {
+    // Keep malformed escapes as they are
+    return decoded
+  }
+}
+
+/**
+ * Encode the search scope and facet filters for the `filter:` route segment
+ *
+ * Format: comma-separated entries, `allPages` for the unrestricted search scope
+ * and `<facet>=<value>|<value>` per facet with a selection, in the order of `facets`:
+ *
+ *   allPages,key=3f|2s,meter=3-4,staves=2,work=Op.125-4
+ *
+ * The spec stays readable and free of slashes, which servers may refuse even
+ * encoded: meters are written with a hyphen (3-4), other slashes as '~', and
+ * only the delimiters (, | = % ~) are percent-encoded.
+ * @param {boolean} allPages - Whether the search is not restricted to the current spread
+ * @param {Object} filters - Filter state
+ * @returns {string|null} Filter spec, or null for the default state
+ */
+export function serializeFilterSpec(allPages, filters = emptyFilters()) {
+  const entries = allPages ? ['allPages'] : []
+
+  Object.entries(facets).forEach(([facet, name]) => {
+    const values = [...new Set(filters[facet] || [])]
+    if (values.length > 0) {
+      entries.push(`${name}=${values.map(value => encodeSpecValue(facet, value)).join('|')}`)
+    }
+  })
+
+  return entries.length > 0 ? entries.join(',') : null
+}
+
+/**
+ * Parse a `filter:` route segment (see serializeFilterSpec)
+ * Unknown entries and facets are ignored.
+ * @param {string} spec - Filter spec without the 'filter:' prefix
+ * @returns {Object} { allPages, filters }
+ */
+export function parseFilterSpec(spec = '') {
+  const filters = emptyFilters()
+  let allPages = false
+
+  const facetsByName = Object.fromEntries(
+    Object.entries(facets).map(([facet, name]) => [name, facet])
+  )
+
+  spec.split(',').filter(entry => entry).forEach(entry => {
+    if (entry === 'allPages') {
+      allPages = true
+      return
+    }
+
+    const [name, valueList = ''] = entry.split('=')
+    const facet = facetsByName[name]
+    if (!facet) return
+
+    valueList.split('|').filter(value => value).forEach(value => {
+      const decoded = decodeSpecValue(facet, value)
+      if (!filters[facet].includes(decoded)) {
+        filters[facet].push(decoded)
+      }
+    })
+  })
+
+  return { allPages, filters }
+}
+
+/**
+ * Compare facet values so that numbers sort numerically ('2' < '10', '3/4' < '6/8')
+ * @param {string} a
+ * @param {string} b
+ * @returns {number}
+ */
+function compareValues(a, b) {
+  return `${a}`.localeCompare(`${b}`, undefined, { numeric: true })
+}
+
+/**
+ * Collect the facet values present in an edition, with the number of zones having each
+ * Keys are ordered from flats to sharps, works by opus number with 'unknown' last.
+ * @param {Array} pages - Page objects of the edition
+ * @returns {Object} Facet name -> array of { value, count }; `works` additionally
+ *   holds [{ value, label, count, movements: [{ value, position, label, count }] }]
+ *   (movement labels are null unless the edition names the movement)
+ */
+export function collectFacetOptions(pages = []) {
+  const counts = Object.fromEntries(Object.keys(facets).map(facet => [facet, new Map()]))
+  const workLabels = new Map()
+  const movementLabels = new Map()
+
+  pages.forEach(page => {
+    const zones = page?.writingZones || []
+    zones.forEach(zone => {
+      const values = zoneFacetValues(zone)
+      Object.entries(values).forEach(([facet, facetValues]) => {
+        facetValues.forEach(value => {
+          counts[facet].set(value, (counts[facet].get(value) || 0) + 1)
+        })
+      })
+
+      // Remember work titles and movement labels for display
+      const relations = zone.workRelations || []
+      relations.forEach(relation => {
+        const work = normalizeOpus(relation.opus) || relation.work
+        if (!work) return
+        if (relation.work && !workLabels.has(work)) workLabels.set(work, relation.work)
+        const mdivPos = relationMdivPos(relation.target)
+        const mdivLabel = relation.target?.mdivLabel?.trim()
+        if (mdivPos && mdivLabel) movementLabels.set(`${work}-${mdivPos}`, mdivLabel)
+      })
+    })
+  })
+
+  const toOptions = (facet, compare = compareValues) =>
+    [...counts[facet].entries()]
+      .map(([value, count]) => ({ value, count }))
+      .sort((a, b) => compare(a.value, b.value))
+
+  const keyOrder = (a, b) => {
+    const ia = keySignatures.indexOf(a)
+    const ib = keySignatures.indexOf(b)
+    return (ia === -1 ? Infinity : ia) - (ib === -1 ? Infinity : ib) || compareValues(a, b)
+  }
+
+  const options = Object.fromEntries(Object.keys(facets).map(facet => [facet, toOptions(facet)]))
+  options.key = toOptions('key', keyOrder)
+
+  // Group movements ('Op.125-4') under their work ('Op.125')
+  options.works = options.work
+    .filter(({ value }) => value !== 'unknown' && !isMovementKey(value, counts.work))
+    .map(({ value, count }) => ({
+      value,
+      count,
+      label: workLabels.get(value) && workLabels.get(value) !== value ? `${value} ${workLabels.get(value)}` : value,
+      movements: options.work
+        .filter(option => option.value.startsWith(`${value}-`) && isMovementKey(option.value, counts.work))
+        .map(option => ({
+          ...option,
+          position: option.value.slice(value.length + 1),
+          label: movementLabels.get(option.value) || null
+        }))
+    }))
+  if (counts.work.has('unknown')) {
+    options.works.push({ value: 'unknown', count: counts.work.get('unknown'), label: null, movements: [] })
+  }
+
+  return options
+}
+
+/**
+ * Check whether a work key denotes a movement of another present work key
+ * @param {string} value - Work key, e.g. 'Op.125-4'
+ * @param {Map} workCounts - Present work keys
+ * @returns {boolean}
+ */
+function isMovementKey(value, workCounts) {
+  const dash = value.lastIndexOf('-')
+  return dash > 0 && workCounts.has(value.slice(0, dash))
+}
@@ -0,0 +1,248 @@
+/**
+ * Geometry helpers for VideFacs Components
+ * Place pages in the millimetre world coordinate space of the viewer and
+ * convert between image pixels of a page and these world coordinates
+ */
+
+/**
+ * Rotate a point clockwise around a center (y axis pointing down, as in OpenSeadragon)
+ * @param {Object} point - { x, y }
+ * @param {Object} center - { x, y }
+ * @param {number} degrees - Clockwise rotation in degrees
+ * @returns {Object} { x, y }
+ */
+export function rotatePoint(point, center, degrees) {
+  if (!degrees) return { x: point.x, y: point.y }
+  const rad = degrees * Math.PI / 180
+  const cos = Math.cos(rad)
+  const sin = Math.sin(rad)
+  const dx = point.x - center.x
+  const dy = point.y - center.y
+  return {
+    x: center.x + dx * cos - dy * sin,
+    y: center.y + dx * sin + dy * cos
+  }
+}
+
+/**
+ * Place a page in the millimetre world coordinate space
+ * The page region (px.xywh) gets the page's mm size; verso pages end and recto
+ * pages start at x = 0, with the page's top edge at y = top.
+ * @param {Object} page - Page object from edition.json
+ * @param {string} slot - 'verso' (left of the gutter) or 'recto' (right of it)
+ * @param {number} top - Top edge of the page in mm
+ * @returns {Object} Object with tileSource, x, y, width, degrees for OSD addTiledImage
+ */
+export function pagePlacement(page, slot, top = 0) {
+  // Extract data from page
+  const { target, px, mm } = page
+  const { xywh, rotation, width: pxWidth, height: pxHeight } = px
+  const { width: mmWidth, height: mmHeight } = mm
+  
+  // Calculate scale factor from pixels to millimeters
+  // The mm dimensions refer to the page content (after rotation, inside xywh)
+  // We need to figure out the mm dimensions of the full image
+  const pageWidthPx = xywh.w
+  const pageHeightPx = xywh.h
+  
+  // Scale factor: mm per pixel (using the page dimensions as reference)
+  const mmPerPx = mmWidth / pageWidthPx
+  
+  // Full image dimensions in mm
+  const fullImageWidthMm = pxWidth * mmPerPx
+  const fullImageHeightMm = pxHeight * mmPerPx
+  
+  // Center of xywh rect in pixels (relative to full image)
+  const xywhCenterPxX = xywh.x + xywh.w / 2
+  const xywhCenterPxY = xywh.y + xywh.h / 2
+  
+  // Center of xywh rect in mm (relative to full image origin)
+  const xywhCenterMmX = xywhCenterPxX * mmPerPx
+  const xywhCenterMmY = xywhCenterPxY * mmPerPx
+  
+  // The page content (mm dimensions) is centered within the xywh rect after rotation
+  // Position the page so its inner edge aligns at x=0
+  let pageTargetX
+  if (slot === 'verso') {
+    // Verso page: right edge at x=0, so position at negative x
+    pageTargetX = -mmWidth
+  } else {
+    // Recto page: left edge at x=0
+    pageTargetX = 0
+  }
+  
+  // Page top edge at the given height
+  const pageTargetY = top
+  
+  // The page center in our target coordinate space
+  const pageCenterX = pageTargetX + mmWidth / 2
+  const pageCenterY = pageTargetY + mmHeight / 2
+  
+  // Now work backwards: the xywh center is where the page center is
+  // (since page is centered in xywh rect after rotation)
+  // The full image's origin needs to be positioned such that its xywh center
+  // ends up at pageCenterX, pageCenterY
+  
+  const imageX = pageCenterX - xywhCenterMmX
+  const imageY = pageCenterY - xywhCenterMmY
+  
+  // Build IIIF image URL
+  const baseUrl = target.replace(/\.(jpg|tif|tiff)$/i, '')
+  const tileSource = baseUrl + '/info.json'
+  
+  return {
+    tileSource,
+    x: imageX,
+    y: imageY,
+    width: fullImageWidthMm,
+    degrees: -rotation // Negate rotation to match coordinate system
+  }
+}
+
+/**
+ * Extent of page images in world (mm) coordinates
+ * @param {Array} pages - Page objects
+ * @param {Function} placementOf - Returns the placement (see pagePlacement) of a page
+ * @param {number} padding - Margin added on every side, in mm
+ * @returns {Object} { x, y, width, height }
+ */
+export function pagesBounds(pages, placementOf, padding = 0) {
+  let minX = Infinity
+  let maxX = -Infinity
+  let minY = Infinity
+  let maxY = -Infinity
+
+  pages.forEach(page => {
+    const placement = placementOf(page)
+    // Image bounds, keeping the image's aspect ratio
+    minX = Math.min(minX, placement.x)
+    maxX = Math.max(maxX, placement.x + placement.width)
+    minY = Math.min(minY, placement.y)
+    maxY = Math.max(maxY, placement.y + placement.width * (page.px.height / page.px.width))
+  })
+
+  return {
+    x: minX - padding,
+    y: minY - padding,
+    width: maxX - minX + padding * 2,
+    height: maxY - minY + padding * 2
+  }
+}
+
+/**
+ * Convert a point in full-image pixels to world (mm) coordinates
+ * Mirrors how OpenSeadragon places a tiled image: scaled to placement.width,
+ * moved to placement.x/y and rotated by placement.degrees around its center.
+ * @param {Object} point - { x, y } in image pixels
+ * @param {Object} page - Page object (for px.width/px.height)
+ * @param {Object} placement - Result of pagePlacement (x, y, width, degrees)
+ * @returns {Object} { x, y } in mm
+ */
+export function imageToWorld(point, page, placement) {
+  const mmPerPx = placement.width / page.px.width
+  const height = page.px.height * mmPerPx
+  const center = {
+    x: placement.x + placement.width / 2,
+    y: placement.y + height / 2
+  }
+  return rotatePoint({
+    x: placement.x + point.x * mmPerPx,
+    y: placement.y + point.y * mmPerPx
+  }, center, placement.degrees)
+}
+
+/**
+ * Convert a point in world (mm) coordinates to full-image pixels (inverse of imageToWorld)
+ * @param {Object} point - { x, y } in mm
+ * @param {Object} page - Page object (for px.width/px.height)
+ * @param {Object} placement - Result of pagePlacement (x, y, width, degrees)
+ * @returns {Object} { x, y } in image pixels
+ */
+export function worldToImage(point, page, placement) {
+  const mmPerPx = placement.width / page.px.width
+  const height = page.px.height * mmPerPx
+  const center = {
+    x: placement.x + placement.width / 2,
+    y: placement.y + height / 2
+  }
+  const unrotated = rotatePoint(point, center, -placement.degrees)
+  return {
+    x: (unrotated.x - placement.x) / mmPerPx,
+    y: (unrotated.y - placement.y) / mmPerPx
+  }
+}
+
+/**
+ * Get the outline of a writing zone in world (mm) coordinates
+ * Zone positions (wzProps.pos) are pixel offsets relative to the page region px.xywh.
+ * @param {Object} zone - Writing zone
+ * @param {Object} page - Page object containing the zone
+ * @param {Object} placement - Result of pagePlacement for the page
+ * @returns {Array|null} Four corner points, clockwise from top left, or null without position
+ */
+export function zonePolygon(zone, page, placement) {
+  const pos = zone.wzProps?.pos
+  if (!pos) return null
+
+  const { x: offsetX, y: offsetY } = page.px.xywh
+  const corners = [
+    { x: pos.x, y: pos.y },
+    { x: pos.x + pos.w, y: pos.y },
+    { x: pos.x + pos.w, y: pos.y + pos.h },
+    { x: pos.x, y: pos.y + pos.h }
+  ]
+
+  return corners.map(corner => imageToWorld({
+    x: offsetX + corner.x,
+    y: offsetY + corner.y
+  }, page, placement))
+}
+
+/**
+ * Axis-aligned bounding box of a polygon
+ * @param {Array} polygon - Array of { x, y }
+ * @returns {Object} { x, y, width, height }
+ */
+export function polygonBounds(polygon) {
+  const xs = polygon.map(p => p.x)
+  const ys = polygon.map(p => p.y)
+  const x = Math.min(...xs)
+  const y = Math.min(...ys)
+  return {
+    x,
+    y,
+    width: Math.max(...xs) - x,
+    height: Math.max(...ys) - y
+  }
+}
+
+/**
+ * Check whether a point lies inside a polygon (ray casting)
+ * @param {Object} point - { x, y }
+ * @param {Array} polygon - Array of { x, y }
+ * @returns {boolean}
+ */
+export function pointInPolygon(point, polygon) {
+  let inside = false
+  for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+    const a = polygon[i]
+    const b = polygon[j]
+    const crosses = (a.y > point.y) !== (b.y > point.y) &&
+      point.x < (b.x - a.x) * (point.y - a.y) / (b.y - a.y) + a.x
+    if (crosses) inside = !inside
+  }
+  return inside
+}
+
+/**
+ * Area of a simple polygon (shoelace formula)
+ * @param {Array} polygon - Array of { x, y }
+ * @returns {number} Area in square units of the input
+ */
+export function polygonArea(polygon) {
+  let sum = 0
+  for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+    sum += (polygon[j].x + polygon[i].x) * (polygon[j].y - polygon[i].y)
+  }
+  return Math.abs(sum / 2)
+}
@@ -0,0 +1,375 @@
+/**
+ * Internationalisation for VideFacs Components
+ * Message catalogue and translator with pluralisation and locale-aware numbers
+ *
+ * Messages may contain {placeholders}. Numeric parameters are formatted for the
+ * locale. A message given as { one, other, ... } is chosen by the plural
+ * category of the `count` parameter (see Intl.PluralRules).
+ */
+
+/**
+ * Language used when neither the element nor the document specify a supported one
+ */
+export const defaultLang = 'de'
+
+/**
+ * Message catalogue per language
+ */
+export const messages = {
+  de: {
+    'nav.home': 'Start',
+
+    'status.loadingEdition': 'Editionsdaten werden geladen …',
+    'error.loadTitle': 'Fehler beim Laden der Editionsdaten',
+    'error.loadMessage': 'Die Editionsdaten konnten nicht geladen werden: {message}',
+    'error.notFoundTitle': '404 – Nicht gefunden',
+    'error.notFoundMessage': 'Der Pfad <code>{path}</code> wurde nicht gefunden.',
+    'error.backHome': 'Zurück zur Startseite',
+
+    'controls.togglePreview': 'Seitennavigation ein-/ausblenden',
+    'controls.toggleMargins': 'Ränder ein-/ausblenden',
+    'controls.zoomOut': 'Verkleinern',
+    'controls.zoomIn': 'Vergrößern',
+    'controls.fitSpread': 'Ganze Doppelseite anzeigen',
+    'controls.prevPage': 'Vorherige Seite',
+    'controls.nextPage': 'Nächste Seite',
+    'controls.openModal': 'Notirungsbuch öffnen',
+    'controls.layout': 'Seitenlayout: {mode}',
+    'controls.scroll': 'Fortlaufend scrollen',
+    'controls.measure': 'Messen',
+    'controls.actualSize': 'Originalgröße',
+    'controls.enhance': 'Bildanpassung',
+    'controls.compare': 'Vergleichen',
+    'layout.spread': 'Doppelseiten',
+    'layout.single': 'Einzelseiten',
+    'layout.auto': 'automatisch',
+
+    'measure.line': 'Strecke',
+    'measure.rect': 'Rechteck',
+    'measure.hint': 'Zum Messen auf einer Seite ziehen',
+    'measure.lineResult': '{length} mm, {angle}°',
+    'measure.rectResult': '{width} × {height} mm, {area} mm²',
+    'measure.inUrl': 'Messungen in die URL übernehmen',
+    'measure.copy': 'Kopieren',
+    'measure.copied': 'Kopiert',
+    'measure.clear': 'Alle löschen',
+    'measure.remove': 'Messung entfernen',
+
+    'enhance.brightness': 'Helligkeit',
+    'enhance.contrast': 'Kontrast',
+    'enhance.gamma': 'Gamma',
+    'enhance.channel': 'Farbkanal',
+    'enhance.channelAll': 'alle',
+    'enhance.channelRed': 'Rot',
+    'enhance.channelGreen': 'Grün',
+    'enhance.channelBlue': 'Blau',
+    'enhance.greyscale': 'Graustufen',
+    'enhance.invert': 'Invertieren',
+    'enhance.threshold': 'Schwellenwert (Schwarzweiß)',
+    'enhance.presetPencil': 'Bleistift',
+    'enhance.presetInk': 'Tinte',
+    'enhance.reset': 'Zurücksetzen',
+    'enhance.unavailable': 'Bildanpassungen sind nicht möglich, da der Bildserver keinen Zugriff auf die Pixel erlaubt (CORS).',
+
+    'scale.mm': '{value} mm',
+    'scale.calibrate': 'Bildschirm kalibrieren',
+    'scale.calibrationTitle': 'Bildschirm kalibrieren',
+    'scale.calibrationHint': 'Halten Sie eine Scheckkarte an den Bildschirm und verschieben Sie den Regler, bis das Rechteck genau so breit ist wie die Karte.',
+    'scale.save': 'Speichern',
+
+    'compare.edition': 'Quelle',
+    'compare.linked': 'Ansichten koppeln',
+    'compare.close': 'Vergleich schließen',
+    'compare.unknownEdition': 'Unbekannte Quelle: {edition}',
+
+    'source.info': '{doc}: {label} ({position}/{total})',
+    'source.toNotebook': 'Seite {page} im Notirungsbuch',
+    'source.browse': 'Quelle in heutiger Reihenfolge durchblättern',
+    'source.pageCount': { one: '{count} Seite', other: '{count} Seiten' },
+    'source.none': 'Zu den Seiten sind keine Quellen angegeben.',
+
+    'modal.close': 'Schließen',
+    'modal.verso': 'Verso',
+    'modal.recto': 'Recto',
+    'modal.page': 'Seite',
+    'modal.source': 'Quelle mit Seitenzählung',
+    'modal.viewNotebook': 'Notirungsbuch',
+    'modal.viewSources': 'Nach Quellen',
+    'concordance.search': 'Quelle oder Seite suchen',
+    'concordance.count': '{count} von {total} Seiten',
+    'concordance.empty': 'Keine Seite passt zur Suche.',
+    'concordance.export': 'Konkordanz in der angezeigten Reihenfolge herunterladen',
+
+    'page.label': 'Seite {page}',
+    'page.pair': 'Seite {first} / {second}',
+    'page.info': 'Seite {page} von {total}',
+    'page.infoPair': 'Seiten {first}-{second} von {total}',
+
+    'panel.sketches': 'Skizzen',
+    'panel.filter': 'Filter',
+
+    'filter.cancel': 'Abbrechen',
+    'filter.scope': 'Suchraum',
+    'filter.restrictToSpread': 'Auf aktuelle Doppelseite beschränken',
+    'filter.key': 'Vorzeichnung',
+    'filter.meter': 'Taktart',
+    'filter.original': 'original',
+    'filter.supplied': 'ergänzt',
+    'filter.missing': 'nicht notiert',
+    'filter.clef': 'Schlüssel',
+    'filter.clefTreble': 'Violinschlüssel',
+    'filter.clefBass': 'Bassschlüssel',
+    'filter.clefC': 'C-Schlüssel',
+    'filter.clefUnset': 'Nicht festgelegt',
+    'filter.length': 'Länge',
+    'filter.lengthShort': 'bis fünf Takte',
+    'filter.lengthMedium': 'sechs bis zehn Takte',
+    'filter.lengthLong': 'mehr als zehn Takte',
+    'filter.staves': 'Anzahl Systeme',
+    'filter.clarification': 'Verbalanmerkungen',
+    'filter.navigation': 'Verweiszeichen',
+    'filter.present': 'vorhanden',
+    'filter.absent': 'ohne',
+    'filter.work': 'Werkbezug',
+    'filter.unknownWork': 'unbekannt',
+    'filter.apply': 'Filter anwenden',
+    'filter.reset': 'Filter zurücksetzen',
+    'filter.resultCount': {
+      one: '{count} Schreibzone',
+      other: '{count} Schreibzonen'
+    },
+    'filter.resultCountFiltered': {
+      one: '{matching} von {count} Schreibzone',
+      other: '{matching} von {count} Schreibzonen'
+    },
+
+    'zone.sketch': 'Skizze',
+    'zone.staves': { one: 'System', other: 'Systeme' },
+    'zone.measures': { one: 'Takt', other: 'Takte' },
+    'zone.keySig': 'Vorzeichnung',
+    'zone.meterSig': 'Taktart',
+    'zone.tempo': 'Tempo',
+    'zone.supplied': 'editorisch ergänzt',
+    'zone.writingZone': 'Schreibzone',
+    'zone.line': 'Zeile',
+    'zone.layers': { one: 'Schreibschicht', other: 'Schreibschichten' },
+    'zone.navigation': 'Verweiszeichen',
+    'zone.clarification': 'Erläuterungen',
+    'zone.otherMeta': 'Sonstige Metatexte',
+    'zone.workRelations': 'Mögliche Werkbezüge',
+    'zone.movement': '{position}. Satz',
+    'zone.measure': 'T. {label}',
+    'zone.measureRange': 'T. {start}–{end}',
+    'zone.showTranscriptions': 'Zeige Transkriptionen',
+
+    'transcription.diplomatic': 'Diplomatisch',
+    'transcription.edited': 'Ediert',
+    'transcription.facsimile': 'Schreibzone im Faksimile',
+    'transcription.loading': 'Lade Transkription...',
+    'transcription.missing': 'Keine Transkription zu {file} gefunden',
+    'transcription.error': 'Fehler beim Laden der Transkription: {message}'
+  },
+
+  en: {
+    'nav.home': 'Home',
+
+    'status.loadingEdition': 'Loading edition data...',
+    'error.loadTitle': 'Error Loading Edition Data',
+    'error.loadMessage': 'Could not load edition data: {message}',
+    'error.notFoundTitle': '404 - Not Found',
+    'error.notFoundMessage': 'The path <code>{path}</code> was not found.',
+    'error.backHome': 'Return to Home',
+
+    'controls.togglePreview': 'Show/hide page navigation',
+    'controls.toggleMargins': 'Show/hide margins',
+    'controls.zoomOut': 'Zoom out',
+    'controls.zoomIn': 'Zoom in',
+    'controls.fitSpread': 'Show whole spread',
+    'controls.prevPage': 'Previous page',
+    'controls.nextPage': 'Next page',
+    'controls.openModal': 'Open notebook overview',
+    'controls.layout': 'Page layout: {mode}',
+    'controls.scroll': 'Scroll continuously',
+    'controls.measure': 'Measure',
+    'controls.actualSize': 'Actual size',
+    'controls.enhance': 'Image adjustments',
+    'controls.compare': 'Compare',
+    'layout.spread': 'spreads',
+    'layout.single': 'single pages',
+    'layout.auto': 'automatic',
+
+    'measure.line': 'Line',
+    'measure.rect': 'Rectangle',
+    'measure.hint': 'Drag on a page to measure',
+    'measure.lineResult': '{length} mm, {angle}°',
+    'measure.rectResult': '{width} × {height} mm, {area} mm²',
+    'measure.inUrl': 'Keep measurements in the URL',
+    'measure.copy': 'Copy',
+    'measure.copied': 'Copied',
+    'measure.clear': 'Clear all',
+    'measure.remove': 'Remove measurement',
+
+    'enhance.brightness': 'Brightness',
+    'enhance.contrast': 'Contrast',
+    'enhance.gamma': 'Gamma',
+    'enhance.channel': 'Colour channel',
+    'enhance.channelAll': 'all',
+    'enhance.channelRed': 'red',
+    'enhance.channelGreen': 'green',
+    'enhance.channelBlue': 'blue',
+    'enhance.greyscale': 'Greyscale',
+    'enhance.invert': 'Invert',
+    'enhance.threshold': 'Threshold (black and white)',
+    'enhance.presetPencil': 'Pencil',
+    'enhance.presetInk': 'Ink',
+    'enhance.reset': 'Reset',
+    'enhance.unavailable': 'Image adjustments are not possible because the image server does not allow access to the pixels (CORS).',
+
+    'scale.mm': '{value} mm',
+    'scale.calibrate': 'Calibrate screen',
+    'scale.calibrationTitle': 'Calibrate screen',
+    'scale.calibrationHint': 'Hold a credit card against the screen and move the slider until the box is exactly as wide as the card.',
+    'scale.save': 'Save',
+
+    'compare.edition': 'Source',
+    'compare.linked': 'Link views',
+    'compare.close': 'Close comparison',
+    'compare.unknownEdition': 'Unknown source: {edition}',
+
+    'source.info': '{doc}: {label} ({position}/{total})',
+    'source.toNotebook': 'Page {page} in the notebook',
+    'source.browse': 'Page through the source in its present order',
+    'source.pageCount': { one: '{count} page', other: '{count} pages' },
+    'source.none': 'No sources are given for the pages.',
+
+    'modal.close': 'Close',
+    'modal.verso': 'Verso',
+    'modal.recto': 'Recto',
+    'modal.page': 'Page',
+    'modal.source': 'Source with pagination',
+    'modal.viewNotebook': 'Notebook',
+    'modal.viewSources': 'By source',
+    'concordance.search': 'Search source or page',
+    'concordance.count': '{count} of {total} pages',
+    'concordance.empty': 'No page matches the search.',
+    'concordance.export': 'Download the concordance in the order shown',
+
+    'page.label': 'Page {page}',
+    'page.pair': 'Pages {first} / {second}',
+    'page.info': 'Page {page} of {total}',
+    'page.infoPair': 'Pages {first}-{second} of {total}',
+
+    'panel.sketches': 'Sketches',
+    'panel.filter': 'Filter',
+
+    'filter.cancel': 'Cancel',
+    'filter.scope': 'Search scope',
+    'filter.restrictToSpread': 'Restrict to current spread',
+    'filter.key': 'Key signature',
+    'filter.meter': 'Time signature',
+    'filter.original': 'original',
+    'filter.supplied': 'supplied',
+    'filter.missing': 'not notated',
+    'filter.clef': 'Clef',
+    'filter.clefTreble': 'Treble clef',
+    'filter.clefBass': 'Bass clef',
+    'filter.clefC': 'C clef',
+    'filter.clefUnset': 'Not specified',
+    'filter.length': 'Length',
+    'filter.lengthShort': 'up to five measures',
+    'filter.lengthMedium': 'six to ten measures',
+    'filter.lengthLong': 'more than ten measures',
+    'filter.staves': 'Number of staves',
+    'filter.clarification': 'Verbal annotations',
+    'filter.navigation': 'Reference marks',
+    'filter.present': 'present',
+    'filter.absent': 'none',
+    'filter.work': 'Work relation',
+    'filter.unknownWork': 'unknown',
+    'filter.apply': 'Apply filters',
+    'filter.reset': 'Reset filters',
+    'filter.resultCount': {
+      one: '{count} writing zone',
+      other: '{count} writing zones'
+    },
+    'filter.resultCountFiltered': {
+      one: '{matching} of {count} writing zone',
+      other: '{matching} of {count} writing zones'
+    },
+
+    'zone.sketch': 'Sketch',
+    'zone.staves': { one: 'staff', other: 'staves' },
+    'zone.measures': { one: 'measure', other: 'measures' },
+    'zone.keySig': 'Key signature',
+    'zone.meterSig': 'Time signature',
+    'zone.tempo': 'Tempo',
+    'zone.supplied': 'supplied by the editors',
+    'zone.writingZone': 'Writing zone',
+    'zone.line': 'Line',
+    'zone.layers': { one: 'Writing layer', other: 'Writing layers' },
+    'zone.navigation': 'Reference marks',
+    'zone.clarification': 'Clarifications',
+    'zone.otherMeta': 'Other metatexts',
+    'zone.workRelations': 'Possible work relations',
+    'zone.movement': 'Movement {position}',
+    'zone.measure': 'm. {label}',
+    'zone.measureRange': 'mm. {start}–{end}',
+    'zone.showTranscriptions': 'Show transcriptions',
+
+    'transcription.diplomatic': 'Diplomatic',
+    'transcription.edited': 'Edited',
+    'transcription.facsimile': 'Writing zone in the facsimile',
+    'transcription.loading': 'Loading transcription...',
+    'transcription.missing': 'No transcription found for {file}',
+    'transcription.error': 'Error loading transcription: {message}'
+  }
+}
+
+/**
+ * Pick the supported language for a language tag ('en-GB' -> 'en')
+ * @param {string} lang - BCP 47 language tag
+ * @returns {string} Key of `messages`, defaultLang if unsupported
+ */
+export function resolveLang(lang) {
+  const base = `${lang || ''}`.toLowerCase().split('-')[0]
+  return messages[base] ? base : defaultLang
+}
+
+/**
+ * Create a translation function for a language
+ *
+ *   const t = createTranslator('en')
+ *   t('zone.measures', { count: 2 }) // 'measures'
+ *   t.number(1234.5)                  // '1,234.5'
+ *
+ * @param {string} lang - Language tag, resolved with resolveLang
+ * @returns {Function} t(key, params) with `lang` and `number(value, options)`
+ */
+export function createTranslator(lang) {
+  const resolved = resolveLang(lang)
+  const catalogue = messages[resolved]
+  const pluralRules = new Intl.PluralRules(resolved)
+  const numberFormat = new Intl.NumberFormat(resolved)
+
+  const number = (value, options) => options
+    ? new Intl.NumberFormat(resolved, options).format(value)
+    : numberFormat.format(value)
+
+  const t = (key, params = {}) => {
+    let message = catalogue[key] ?? messages[defaultLang][key] ?? key
+
+    if (typeof message === 'object') {
+      message = message[pluralRules.select(params.count ?? 0)] ?? message.other
+    }
+
+    return message.replace(/\{(\w+)\}/g, (placeholder, name) => {
+      const value = params[name]
+      if (value === undefined || value === null) return placeholder
+      return typeof value === 'number' ? number(value) : `${value}`
+    })
+  }
+
+  t.lang = resolved
+  t.number = number
+  return t
+}
@@ -0,0 +1,395 @@
+/**
+ * IIIF Manifest Adapters for VideFacs Components
+ * Map IIIF Presentation manifests into the internal edition model used by the router:
+ *
+ *   { source: { label, pages: [page] } }
+ *
+ * where each page provides target (image service), px (image size, page region
+ * and rotation), mm (physical size), position (verso/recto/single), surfaceDoc,
+ * surfaceLabel and writingZones.
+ */
+
+const PRESENTATION_2_CONTEXT = 'http://iiif.io/api/presentation/2/context.json'
+const PRESENTATION_3_CONTEXT = 'http://iiif.io/api/presentation/3/context.json'
+
+// Physical dimension units converted to millimetres
+const MM_PER_UNIT = {
+  mm: 1,
+  cm: 10,
+  in: 25.4
+}
+
+// Assumed scan resolution when a manifest carries no physical dimensions
+const FALLBACK_PPI = 300
+
+/**
+ * Check whether parsed JSON is a IIIF Presentation 3 manifest
+ * @param {Object} data - Parsed JSON
+ * @returns {boolean}
+ */
+export function isPresentation3(data) {
+  if (!data || Array.isArray(data) || data.type !== 'Manifest') return false
+  const contexts = [].concat(data['@context'] || [])
+  return contexts.includes(PRESENTATION_3_CONTEXT)
+}
+
+/**
+ * Check whether parsed JSON is a IIIF Presentation 2.x manifest
+ * @param {Object} data - Parsed JSON
+ * @returns {boolean}
+ */
+export function isPresentation2(data) {
+  if (!data || Array.isArray(data) || data['@type'] !== 'sc:Manifest') return false
+  const contexts = [].concat(data['@context'] || [])
+  return contexts.includes(PRESENTATION_2_CONTEXT)
+}
+
+/**
+ * Pick a display string from a IIIF language map ({ en: ['...'] }) or plain string
+ * @param {Object|string|Array} value - Language map, string or array of strings
+ * @param {string} lang - Preferred language
+ * @returns {string}
+ */
+export function labelToString(value, lang = 'de') {
+  if (!value) return ''
+  if (typeof value === 'string') return value
+  if (Array.isArray(value)) return value.map(v => labelToString(v, lang)).join(' ')
+  // Presentation 2 style { '@value': ..., '@language': ... }
+  if (value['@value']) return value['@value']
+
+  const values = value[lang] || value.none || value.en || Object.values(value)[0]
+  return [].concat(values || []).join(' ')
+}
+
+/**
+ * Parse an xywh media fragment ('...#xywh=10,20,300,400' or 'xywh=10,20,300,400')
+ * @param {string} fragment - URI or selector value
+ * @returns {Object|null} { x, y, w, h } or null
+ */
+export function parseXywh(fragment) {
+  if (typeof fragment !== 'string') return null
+  const match = fragment.match(/xywh=(?:pixel:)?(-?[\d.]+),(-?[\d.]+),([\d.]+),([\d.]+)/)
+  if (!match) return null
+  const [x, y, w, h] = match.slice(1).map(Number)
+  return { x, y, w, h }
+}
+
+/**
+ * Get the xywh region an annotation targets, from a fragment URI or a FragmentSelector
+ * @param {string|Object|Array} target - Annotation target (or Presentation 2 `on`)
+ * @returns {Object|null} { x, y, w, h } in canvas coordinates
+ */
+export function targetRegion(target) {
+  if (!target) return null
+  if (Array.isArray(target)) return targetRegion(target[0])
+  if (typeof target === 'string') return parseXywh(target)
+
+  const selectors = [].concat(target.selector || [])
+  for (const selector of selectors) {
+    const region = parseXywh(selector.value) ||
+      parseXywh(selector.default?.value)
+    if (region) return region
+  }
+
+  return parseXywh(target.id || target['@id'])
+}
+
+/**
+ * Get the id of the first IIIF Image API service of an image resource
+ * @param {Object} resource - Image resource (Presentation 2 or 3)
+ * @returns {string|null}
+ */
+export function imageServiceId(resource) {
+  if (!resource) return null
+  const services = [].concat(resource.service || [])
+  const service = services.find(s => {
+    const type = `${s.type || s['@type'] || ''} ${[].concat(s.profile || []).join(' ')} ${[].concat(s['@context'] || []).join(' ')}`
+    return /ImageService|iiif\.io\/api\/image/i.test(type)
+  }) || services[0]
+  const id = service?.id || service?.['@id']
+  return id ? id.replace(/\/(info\.json)?$/, '') : null
+}
+
+/**
+ * Convert a IIIF physical dimensions service to millimetres per canvas unit
+ * @param {Object|Array} services - Service(s) of a canvas or manifest
+ * @returns {number|null}
+ */
+export function physicalScaleMm(services) {
+  const service = [].concat(services || []).find(s => {
+    const profile = [].concat(s.profile || []).join(' ')
+    return /physdim/i.test(profile) || s.physicalScale
+  })
+  if (!service || !service.physicalScale) return null
+
+  const factor = MM_PER_UNIT[service.physicalUnits] || MM_PER_UNIT.mm
+  return service.physicalScale * factor
+}
+
+/**
+ * Guess the side of the leaf from a canvas label, falling back to the
+ * paged-book convention of a lone first recto followed by verso/recto pairs
+ * @param {string} label - Canvas label
+ * @param {number} index - 0-based canvas index
+ * @returns {string} 'verso' or 'recto'
+ */
+export function guessPosition(label, index) {
+  if (/\d\s*v$|verso$/i.test(label)) return 'verso'
+  if (/\d\s*r$|recto$/i.test(label)) return 'recto'
+  return index % 2 === 1 ? 'verso' : 'recto'
+}
+
+/**
+ * Check whether an annotation (or its page) is classified as a writing zone
+ * @param {Object} annotation - Annotation
+ * @param {Object} annotationPage - Containing annotation page/list
+ * @returns {boolean}
+ */
+export function isWritingZone(annotation, annotationPage = {}) {
+  const bodies = [].concat(annotation.body || annotation.resource || [])
+  const candidates = [
+    labelToString(annotationPage.label),
+    labelToString(annotation.label),
+    ...[].concat(annotation.motivation || []),
+    ...bodies.flatMap(body => [body.type, body['@type'], body.purpose, body.value, body.chars])
+  ]
+
+  return candidates.some(value =>
+    typeof value === 'string' && /^writingzones?$/.test(value.toLowerCase().replace(/[\s_-]/g, ''))
+  )
+}
+
+/**
+ * Build an internal writing zone from an annotation
+ * @param {Object} annotation - Annotation with an xywh target
+ * @param {number} index - Position of the zone on its page (for default labels)
+ * @param {number} scale - Image pixels per canvas unit
+ * @returns {Object|null} Writing zone or null if it has no region
+ */
+export function annotationToZone(annotation, index, scale = 1) {
+  const region = targetRegion(annotation.target || annotation.on)
+  if (!region) return null
+
+  const id = annotation.id || annotation['@id'] || null
+  const label = labelToString(annotation.label) || `${index + 1}`
+
+  return {
+    label,
+    identifier: { zoneId: id },
+    wzProps: {
+      pos: {
+        x: region.x * scale,
+        y: region.y * scale,
+        w: region.w * scale,
+        h: region.h * scale
+      }
+    }
+  }
+}
+
+/**
+ * Build an internal page object from canvas and image information
+ * @param {Object} options
+ * @param {string} options.label - Canvas label
+ * @param {number} options.index - 0-based canvas index
+ * @param {number} options.canvasWidth - Canvas width
+ * @param {number} options.canvasHeight - Canvas height
+ * @param {string} options.serviceId - Image service id
+ * @param {number} options.imageWidth - Image width in pixels
+ * @param {number} options.imageHeight - Image height in pixels
+ * @param {number|null} options.mmPerCanvasUnit - Physical scale
+ * @param {string} options.surfaceDoc - Source the page belongs to
+ * @param {Array} options.zoneAnnotations - [annotation, annotationPage] pairs
+ * @returns {Object} Page object
+ */
+export function buildPage({
+  label, index, canvasWidth, canvasHeight, serviceId, imageWidth, imageHeight,
+  mmPerCanvasUnit, surfaceDoc, zoneAnnotations = []
+}) {
+  const width = imageWidth || canvasWidth
+  const height = imageHeight || canvasHeight
+  const scale = canvasWidth ? width / canvasWidth : 1
+  const mmPerCanvas = mmPerCanvasUnit || (25.4 / FALLBACK_PPI) * scale
+
+  const writingZones = zoneAnnotations
+    .map(([annotation], zoneIndex) => annotationToZone(annotation, zoneIndex, scale))
+    .filter(zone => zone)
+
+  return {
+    target: serviceId,
+    px: {
+      xywh: { x: 0, y: 0, w: width, h: height },
+      rotation: 0,
+      width,
+      height
+    },
+    mm: {
+      width: canvasWidth * mmPerCanvas,
+      height: canvasHeight * mmPerCanvas
+    },
+    position: guessPosition(label, index),
+    surfaceDoc,
+    surfaceLabel: label,
+    writingZones
+  }
+}
+
+/**
+ * Collect writing zone annotations from Presentation 3 annotation pages
+ * @param {Array} annotationPages - canvas.annotations
+ * @returns {Array} [annotation, annotationPage] pairs
+ */
+function presentation3Zones(annotationPages = []) {
+  return annotationPages.flatMap(annotationPage =>
+    (annotationPage.items || [])
+      .filter(annotation => isWritingZone(annotation, annotationPage))
+      .map(annotation => [annotation, annotationPage])
+  )
+}
+
+/**
+ * Convert a IIIF Presentation 3 manifest to the internal edition model
+ * Annotation pages referenced only by id must be embedded first (see embedAnnotations).
+ * @param {Object} manifest - Presentation 3 manifest
+ * @param {string} lang - Preferred language of labels
+ * @returns {Object} { source: { label, pages }, manifest }
+ */
+export function fromPresentation3(manifest, lang = 'de') {
+  const label = labelToString(manifest.label, lang)
+  const manifestScale = physicalScaleMm(manifest.service)
+
+  const canvases = (manifest.items || []).filter(item => item.type === 'Canvas')
+  const pages = canvases.flatMap((canvas, index) => {
+    const painting = (canvas.items || [])
+      .flatMap(annotationPage => annotationPage.items || [])
+      .find(annotation => [].concat(annotation.motivation).includes('painting'))
+    const body = [].concat(painting?.body || [])[0]
+    // Choice bodies list alternative images; take the default (first) one
+    const image = body?.type === 'Choice' ? body.items?.[0] : body
+    const service = [].concat(image?.service || [])[0]
+
+    if (!imageServiceId(image)) {
+      console.warn(`[VideFacs] Skipping canvas ${canvas.id} without IIIF image service`)
+      return []
+    }
+
+    const page = buildPage({
+      label: labelToString(canvas.label, lang) || `${index + 1}`,
+      index,
+      canvasWidth: canvas.width,
+      canvasHeight: canvas.height,
+      serviceId: imageServiceId(image),
+      imageWidth: service?.width || image?.width,
+      imageHeight: service?.height || image?.height,
+      mmPerCanvasUnit: physicalScaleMm(canvas.service) || manifestScale,
+      surfaceDoc: label,
+      zoneAnnotations: presentation3Zones(canvas.annotations)
+    })
+
+    // Geographic information has no bearing on layout, keep it for consumers
+    if (canvas.navPlace) {
+      page.navPlace = canvas.navPlace
+    }
+
+    return [page]
+  })
+
+  return {
+    source: { label, pages },
+    manifest
+  }
+}
+
+/**
+ * Collect writing zone annotations from Presentation 2 annotation lists
+ * @param {Array} annotationLists - canvas.otherContent
+ * @returns {Array} [annotation, annotationList] pairs
+ */
+function presentation2Zones(annotationLists = []) {
+  return annotationLists.flatMap(annotationList =>
+    (annotationList.resources || [])
+      .filter(annotation => isWritingZone(annotation, annotationList))
+      .map(annotation => [annotation, annotationList])
+  )
+}
+
+/**
+ * Convert a IIIF Presentation 2.x manifest to the internal edition model
+ * Annotation lists referenced only by id must be embedded first (see embedAnnotations).
+ * @param {Object} manifest - Presentation 2.x manifest
+ * @param {string} lang - Preferred language of labels
+ * @returns {Object} { source: { label, pages }, manifest }
+ */
+export function fromPresentation2(manifest, lang = 'de') {
+  const label = labelToString(manifest.label, lang)
+  const manifestScale = physicalScaleMm(manifest.service)
+
+  const canvases = manifest.sequences?.[0]?.canvases || []
+  const pages = canvases.flatMap((canvas, index) => {
+    const painting = (canvas.images || [])[0]
+    const resource = painting?.resource
+    // oa:Choice resources list alternative images; take the default one
+    const image = resource?.['@type'] === 'oa:Choice' ? resource.default : resource
+    const service = [].concat(image?.service || [])[0]
+
+    if (!imageServiceId(image)) {
+      console.warn(`[VideFacs] Skipping canvas ${canvas['@id']} without IIIF image service`)
+      return []
+    }
+
+    return [buildPage({
+      label: labelToString(canvas.label, lang) || `${index + 1}`,
+      index,
+      canvasWidth: canvas.width,
+      canvasHeight: canvas.height,
+      serviceId: imageServiceId(image),
+      imageWidth: service?.width || image?.width,
+      imageHeight: service?.height || image?.height,
+      mmPerCanvasUnit: physicalScaleMm(canvas.service) || manifestScale,
+      surfaceDoc: label,
+      zoneAnnotations: presentation2Zones(canvas.otherContent)
+    })]
+  })
+
+  return {
+    source: { label, pages },
+    manifest
+  }
+}
+
+/**
+ * Fetch annotation pages (Presentation 3) or lists (Presentation 2) that a
+ * manifest only references by id, and embed them in place
+ * Failing requests are logged and leave the reference untouched.
+ * @param {Object} manifest - Presentation 2 or 3 manifest (modified in place)
+ * @param {Object} options - Options passed to fetch (e.g. { signal })
+ * @returns {Promise<Object>} The manifest
+ */
+export async function embedAnnotations(manifest, options = {}) {
+  const isV3 = isPresentation3(manifest)
+  const canvases = isV3
+    ? (manifest.items || []).filter(item => item.type === 'Canvas')
+    : manifest.sequences?.[0]?.canvases || []
+  const listKey = isV3 ? 'annotations' : 'otherContent'
+  const itemsKey = isV3 ? 'items' : 'resources'
+
+  const requests = canvases.flatMap(canvas =>
+    (canvas[listKey] || []).map(async (reference, index) => {
+      const id = reference.id || reference['@id']
+      if (reference[itemsKey] || !id) return
+
+      try {
+        const response = await fetch(id, options)
+        if (!response.ok) throw new Error(`HTTP ${response.status}`)
+        // Keep the label of the reference, the list itself may not carry one
+        canvas[listKey][index] = { label: reference.label, ...(await response.json()) }
+      } catch (error) {
+        if (error.name === 'AbortError') throw error
+        console.warn(`[VideFacs] Could not load annotations ${id}:`, error)
+      }
+    })
+  )
+
+  await Promise.all(requests)
+  return manifest
+}
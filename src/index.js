@@ -2,12 +2,13 @@
  * VideFacs - Digital Facsimile Web Component
  * 
  * A reusable web component for displaying digital facsimiles with OpenSeadragon.
- * Single-page application (SPA) with History API routing.
+ * Single-page application (SPA) with History API, hash or in-memory routing
+ * (see the routing attribute).
  * 
- * Requirements: Web server (does not work with file:// protocol)
+ * Requirements: Web server for history routing; hash and memory routing
+ * also work on static hosting
  * 
  * Usage:
- *   <link rel="stylesheet" href="vide-component-facsimile/dist/vide-facs.css">
  *   <vide-facs></vide-facs>
  *   <script type="module" src="vide-component-facsimile/dist/vide-facs.js"></script>
  */
@@ -17,9 +18,6 @@ import { VideFacsNav } from './vide-facs-nav.js';
 import { VideFacsContent } from './vide-facs-content.js';
 import { VideFacsRouter } from './vide-facs-router.js';
 
-// Make VideFacsRouter globally accessible for programmatic navigation
-window.VideFacsRouter = VideFacsRouter;
-
 // Register Custom Elements
 // Only register if not already defined (prevents errors on hot reload)
 if (!customElements.get('vide-facs')) {
@@ -0,0 +1,134 @@
+/**
+ * Measurements for VideFacs Components
+ * Lengths, angles and areas of lines and rectangles drawn on the facsimile
+ *
+ * A measurement is { shape, pageIndex, start, end } with shape 'line' or 'rect'.
+ * Its points are in page coordinates: millimetres from the top left corner of
+ * the page region (px.xywh), along the page's own axes. Measurements therefore
+ * don't depend on where a page is laid out or how its scan is rotated.
+ */
+
+import { imageToWorld, worldToImage } from './geometry.js'
+
+/**
+ * Supported measurement shapes
+ */
+export const measureShapes = ['line', 'rect']
+
+// Shape letters used in the `measure:` route segment
+const SHAPE_CODES = { line: 'l', rect: 'r' }
+
+/**
+ * Convert a world (mm) point to page coordinates
+ * @param {Object} point - { x, y } in world mm
+ * @param {Object} page - Page object
+ * @param {Object} placement - Result of calculatePagePosition for the page
+ * @returns {Object} { x, y } in mm from the page's top left corner
+ */
+export function worldToPage(point, page, placement) {
+  const mmPerPx = placement.width / page.px.width
+  const image = worldToImage(point, page, placement)
+  return {
+    x: (image.x - page.px.xywh.x) * mmPerPx,
+    y: (image.y - page.px.xywh.y) * mmPerPx
+  }
+}
+
+/**
+ * Convert page coordinates to a world (mm) point
+ * @param {Object} point - { x, y } in mm from the page's top left corner
+ * @param {Object} page - Page object
+ * @param {Object} placement - Result of calculatePagePosition for the page
+ * @returns {Object} { x, y } in world mm
+ */
+export function pageToWorld(point, page, placement) {
+  const pxPerMm = page.px.width / placement.width
+  return imageToWorld({
+    x: page.px.xywh.x + point.x * pxPerMm,
+    y: page.px.xywh.y + point.y * pxPerMm
+  }, page, placement)
+}
+
+/**
+ * Outline of a measurement in page coordinates
+ * Rectangles are aligned with the page edges, lines have their two end points.
+ * @param {Object} measurement - Measurement
+ * @returns {Array} Points { x, y }
+ */
+export function measurementOutline({ shape, start, end }) {
+  if (shape !== 'rect') return [start, end]
+  return [
+    start,
+    { x: end.x, y: start.y },
+    end,
+    { x: start.x, y: end.y }
+  ]
+}
+
+/**
+ * Compute the values of a measurement
+ * Angles are counter-clockwise from the page's horizontal, between -90° and 90°.
+ * @param {Object} measurement - Measurement
+ * @returns {Object} { length, angle } for lines, { width, height, area } for rectangles (mm, mm²)
+ */
+export function measure({ shape, start, end }) {
+  const dx = end.x - start.x
+  const dy = end.y - start.y
+
+  if (shape === 'rect') {
+    const width = Math.abs(dx)
+    const height = Math.abs(dy)
+    return { width, height, area: width * height }
+  }
+
+  let angle = Math.atan2(-dy, dx) * 180 / Math.PI
+  if (angle > 90) angle -= 180
+  if (angle <= -90) angle += 180
+  return { length: Math.hypot(dx, dy), angle }
+}
+
+/**
+ * Encode measurements for the `measure:` route segment
+ *
+ * Format: semicolon-separated entries of shape letter, page index and the
+ * start and end point in page mm, rounded to 0.1 mm:
+ *
+ *   l3:12.5,40.1,80.2,40.3;r4:10,20,60,45.5
+ *
+ * @param {Array} measurements - Measurements
+ * @returns {string|null} Measure spec, or null without measurements
+ */
+export function serializeMeasureSpec(measurements = []) {
+  const round = value => Math.round(value * 10) / 10
+  const entries = measurements.map(({ shape, pageIndex, start, end }) =>
+    `${SHAPE_CODES[shape]}${pageIndex}:${[start.x, start.y, end.x, end.y].map(round).join(',')}`
+  )
+  return entries.length > 0 ? entries.join(';') : null
+}
+
+/**
+ * Parse a `measure:` route segment (see serializeMeasureSpec)
+ * Malformed entries are ignored.
+ * @param {string} spec - Measure spec without the 'measure:' prefix
+ * @returns {Array} Measurements
+ */
+export function parseMeasureSpec(spec = '') {
+  const shapesByCode = Object.fromEntries(
+    Object.entries(SHAPE_CODES).map(([shape, code]) => [code, shape])
+  )
+
+  return spec.split(';').map(entry => {
+    const match = entry.match(/^([a-z])(\d+):([^:]+)$/)
+    if (!match || !shapesByCode[match[1]]) return null
+
+    const values = match[3].split(',').map(Number)
+    if (values.length !== 4 || values.some(isNaN)) return null
+
+    return {
+      shape: shapesByCode[match[1]],
+      pageIndex: parseInt(match[2], 10),
+      start: { x: values[0], y: values[1] },
+      end: { x: values[2], y: values[3] }
+    }
+  }).filter(measurement => measurement)
+}
@@ -0,0 +1,61 @@
+/**
+ * Physical scale for VideFacs Components
+ * Scale bar lengths and the screen calibration used for the actual size zoom
+ *
+ * Browsers assume 96 CSS pixels per inch, which real screens rarely match. The
+ * calibration compares a box on screen with a credit card (ISO/IEC 7810 ID-1)
+ * and is stored in localStorage, so it applies to every instance and visit.
+ */
+
+/**
+ * Width of a credit card in mm, the calibration reference
+ */
+export const CARD_WIDTH_MM = 85.6
+
+/**
+ * CSS pixels per mm assumed by browsers (96 dpi)
+ */
+export const DEFAULT_PIXELS_PER_MM = 96 / 25.4
+
+// localStorage key of the calibrated CSS pixels per mm
+const STORAGE_KEY = 'vide-facs:pixels-per-mm'
+
+/**
+ * Read the stored screen calibration
+ * @returns {number|null} CSS pixels per mm, or null if the screen was not calibrated
+ */
+export function loadCalibration() {
+  try {
+    const value = parseFloat(localStorage.getItem(STORAGE_KEY))
+    return value > 0 ? value : null
+  } catch (e) {
+    // Storage may be unavailable (privacy settings, sandboxed frames)
+    return null
+  }
+}
+
+/**
+ * Store the screen calibration
+ * @param {number} pixelsPerMm - CSS pixels per mm
+ */
+export function saveCalibration(pixelsPerMm) {
+  try {
+    localStorage.setItem(STORAGE_KEY, `${pixelsPerMm}`)
+  } catch (e) {
+    console.warn('[VideFacs] Could not store the screen calibration:', e)
+  }
+}
+
+/**
+ * Pick a round scale bar length (1, 2 or 5 times a power of ten mm) that fits
+ * @param {number} pixelsPerMm - Screen pixels per world mm at the current zoom
+ * @param {number} maxPixels - Longest bar in pixels
+ * @returns {Object} { mm, pixels }
+ */
+export function scaleBarLength(pixelsPerMm, maxPixels = 120) {
+  const maxMm = maxPixels / pixelsPerMm
+  const power = Math.pow(10, Math.floor(Math.log10(maxMm)))
+  const step = [5, 2, 1].find(factor => factor * power <= maxMm) || 1
+  const mm = step * power
+  return { mm, pixels: mm * pixelsPerMm }
+}
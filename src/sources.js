@@ -0,0 +1,117 @@
+/**
+ * Physical sources for VideFacs Components
+ * Regroups the pages of a reconstructed notebook by the source they are kept in today
+ *
+ * The leaves of a dispersed notebook now belong to different sources
+ * (`page.surfaceDoc`, e.g. 'D-BNba, HCB MH 60 ("Engelmann")'), where they carry
+ * the source's own page or folio label (`page.surfaceLabel`, e.g. '8' or '1r').
+ * A source lists its pages in the order of these labels.
+ *
+ * Routes name a source by a key made of its name's letters, digits and dots
+ * ('D-BNba-HCB-BSk-21-69'): sigla contain slashes, which servers may refuse in a
+ * path even when encoded.
+ */
+
+/**
+ * Compare surface labels in reading order ('2' < '10', '1r' < '1v' < '2r')
+ * @param {string} a
+ * @param {string} b
+ * @returns {number}
+ */
+export function compareSurfaceLabels(a = '', b = '') {
+  return `${a}`.localeCompare(`${b}`, undefined, { numeric: true, sensitivity: 'base' })
+}
+
+/**
+ * Derive the route key of a source name ('D-BNba, HCB BSk 21/69' -> 'D-BNba-HCB-BSk-21-69')
+ * @param {string} doc - Source name (surfaceDoc)
+ * @returns {string}
+ */
+export function sourceKey(doc) {
+  const key = `${doc}`
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^A-Za-z0-9.]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+  return key || 'source'
+}
+
+/**
+ * Make a key unique among the keys already taken
+ * @param {string} key
+ * @param {Set} taken - Keys given so far, the result is added
+ * @returns {string}
+ */
+function uniqueKey(key, taken) {
+  let unique = key
+  for (let n = 2; taken.has(unique); n++) unique = `${key}-${n}`
+  taken.add(unique)
+  return unique
+}
+
+/**
+ * Group pages by source
+ * Pages without a source are left out.
+ * @param {Array} pages - Page objects of the edition
+ * @returns {Array} [{ doc, key, pageIndices }] in the order the sources first appear
+ *   in the notebook, page indices (1-based) in the source's own order; names that
+ *   give the same key get a counter ('…-2')
+ */
+export function groupBySource(pages = []) {
+  const groups = new Map()
+
+  pages.forEach((page, index) => {
+    const doc = page?.surfaceDoc
+    if (!doc) return
+    if (!groups.has(doc)) groups.set(doc, [])
+    groups.get(doc).push(index + 1)
+  })
+
+  const keys = new Set()
+  return [...groups].map(([doc, pageIndices]) => ({
+    doc,
+    key: uniqueKey(sourceKey(doc), keys),
+    // Pages of equal label keep their notebook order (sort is stable)
+    pageIndices: pageIndices.sort((a, b) =>
+      compareSurfaceLabels(pages[a - 1].surfaceLabel, pages[b - 1].surfaceLabel)
+    )
+  }))
+}
+
+/**
+ * Find a source by its key
+ * @param {Array} sources - Result of groupBySource
+ * @param {string} key - Source key
+ * @returns {Object|null}
+ */
+export function findSource(sources, key) {
+  return sources.find(source => source.key === key) || null
+}
+
+/**
+ * Find a source by its name
+ * @param {Array} sources - Result of groupBySource
+ * @param {string} doc - Source name (surfaceDoc)
+ * @returns {Object|null}
+ */
+export function findSourceByDoc(sources, doc) {
+  return sources.find(source => source.doc === doc) || null
+}
+
+/**
+ * Encode a source for the `source:` route segment
+ * @param {string|null} key - Source key
+ * @returns {string|null} Source spec, or null for the notebook
+ */
+export function serializeSourceSpec(key) {
+  return key || null
+}
+
+/**
+ * Parse a `source:` route segment (see serializeSourceSpec)
+ * @param {string|null} spec - Source spec without the 'source:' prefix
+ * @returns {string|null} Source key, or null if missing or malformed
+ */
+export function parseSourceSpec(spec) {
+  return /^[A-Za-z0-9.-]+$/.test(spec || '') ? spec : null
+}
@@ -0,0 +1,106 @@
+/**
+ * Spread model for VideFacs Components
+ * Groups the pages of an edition into the spreads shown side by side
+ *
+ * A spread is an array of one or two 1-based page indices. By default a verso
+ * followed by a recto forms a spread and every other page stands alone, so
+ * notebooks starting with a verso, inserted single leaves and missing pages
+ * are handled. An edition may list its spreads explicitly instead (config
+ * `editions.<id>.spreads`, e.g. ['1', '2-3', '4', '5-6']).
+ */
+
+/**
+ * Side of a page as recorded in its position ('verso', 'recto' or 'single')
+ * @param {Object} page - Page object
+ * @returns {string}
+ */
+export function pageSide(page) {
+  const position = `${page?.position || ''}`.toLowerCase()
+  if (position.includes('verso')) return 'verso'
+  if (position.includes('recto')) return 'recto'
+  return 'single'
+}
+
+/**
+ * Parse a page spec ('2' or '2-3') into page indices
+ * @param {string} spec - Page spec
+ * @returns {Array<number>}
+ */
+export function parseSpreadSpec(spec) {
+  return `${spec}`.split('-')
+    .map(part => parseInt(part, 10))
+    .filter(pageIndex => !isNaN(pageIndex))
+    .slice(0, 2)
+}
+
+/**
+ * Page spec of a spread ([2, 3] -> '2-3')
+ * @param {Array<number>} spread - Page indices
+ * @returns {string}
+ */
+export function spreadSpec(spread) {
+  return spread.join('-')
+}
+
+/**
+ * Group pages into spreads
+ * @param {Array} pages - Page objects of the edition
+ * @param {Array} [override] - Explicit spreads as page specs ('2-3') or index arrays
+ * @returns {Array<Array<number>>} Spreads in page order
+ */
+export function computeSpreads(pages = [], override = null) {
+  if (Array.isArray(override) && override.length > 0) {
+    const spreads = override
+      .map(entry => Array.isArray(entry) ? entry.map(Number) : parseSpreadSpec(entry))
+      .map(spread => spread.filter(pageIndex => pageIndex >= 1 && pageIndex <= pages.length))
+      .filter(spread => spread.length > 0)
+
+    // Pages the override leaves out are still reachable on their own
+    const listed = new Set(spreads.flat())
+    pages.forEach((page, index) => {
+      if (!listed.has(index + 1)) {
+        console.warn(`[VideFacs] Page ${index + 1} is missing from the spreads setting`)
+        spreads.push([index + 1])
+      }
+    })
+
+    return spreads.sort((a, b) => a[0] - b[0])
+  }
+
+  const spreads = []
+  for (let index = 0; index < pages.length; index++) {
+    if (pageSide(pages[index]) === 'verso' && pageSide(pages[index + 1]) === 'recto') {
+      spreads.push([index + 1, index + 2])
+      index++
+    } else {
+      spreads.push([index + 1])
+    }
+  }
+  return spreads
+}
+
+/**
+ * Find the spread containing a page
+ * @param {Array} spreads - Result of computeSpreads
+ * @param {number} pageIndex - Page index (1-based)
+ * @returns {Array<number>|null}
+ */
+export function spreadOf(spreads, pageIndex) {
+  return spreads.find(spread => spread.includes(pageIndex)) || null
+}
+
+/**
+ * Side a page is laid out on: left ('verso') or right ('recto') of the gutter
+ * Pages paired in a spread take the side of their slot, single pages their own.
+ * @param {Array} spreads - Result of computeSpreads
+ * @param {number} pageIndex - Page index (1-based)
+ * @param {Object} page - Page object
+ * @returns {string} 'verso' or 'recto'
+ */
+export function spreadSlot(spreads, pageIndex, page) {
+  const spread = spreadOf(spreads, pageIndex)
+  if (spread && spread.length === 2) {
+    return spread[0] === pageIndex ? 'verso' : 'recto'
+  }
+  return pageSide(page) === 'verso' ? 'verso' : 'recto'
+}
@@ -1,8 +1,73 @@
 /**
  * HTML Templates for VideFacs Components
  * Separates presentation from logic
+ *
+ * Templates with visible text take a translator `t` (see i18n.js) as first argument.
  */
 
+/**
+ * Escape text for HTML content and attribute values
+ * Needed for everything taken from an edition or the configuration.
+ * @param {*} value
+ * @returns {string}
+ */
+const escapeHtml = (value) => `${value}`
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;')
+
+/**
+ * Display label for a key signature value ('3f' -> '3♭', '0' -> '0')
+ * @param {string} key - Key signature
+ * @returns {string}
+ */
+const keySigLabel = (key) => key.replace(/^(\d+)f$/, '$1♭').replace(/^(\d+)s$/, '$1♯')
+
+/**
+ * Occurrence count shown next to a facet value
+ * @param {Function} t - Translator
+ * @param {Array} options - [{ value, count }] of a facet
+ * @param {string} value - Facet value
+ * @returns {string}
+ */
+const facetCount = (t, options = [], value) => {
+  const count = options.find(option => option.value === value)?.count || 0
+  return ` <span class="facet-count">(${t.number(count)})</span>`
+}
+
+/**
+ * Checkboxes for all values of a facet present in the edition
+ * @param {Function} t - Translator
+ * @param {Array} options - [{ value, count }] of a facet
+ * @param {string} name - Checkbox name
+ * @param {Function} label - Formats a value as plain text for display
+ * @returns {string}
+ */
+const facetCheckboxes = (t, options = [], name, label = value => value) => {
+  if (options.length === 0) return '<span class="facet-empty">–</span>'
+  return options.map(({ value, count }) =>
+    `<label><input type="checkbox" name="${name}" value="${escapeHtml(value)}"> ${escapeHtml(label(value))} <span class="facet-count">(${t.number(count)})</span></label>`
+  ).join('')
+}
+
+/**
+ * Work relation checkboxes with movements nested under their work
+ * @param {Function} t - Translator
+ * @param {Array} works - [{ value, label, count, movements }] (see collectFacetOptions)
+ * @returns {string}
+ */
+const workOptions = (t, works = []) => {
+  if (works.length === 0) return '<li class="facet-empty">–</li>'
+  return works.map(work => `
+    <li><label><input type="checkbox" name="work" value="${escapeHtml(work.value)}"> ${escapeHtml(work.label || t('filter.unknownWork'))} <span class="facet-count">(${t.number(work.count)})</span></label></li>
+    ${work.movements.map(movement => `
+      <li class="sub-item"><label><input type="checkbox" name="work" value="${escapeHtml(movement.value)}"> ${escapeHtml(movement.label || t('zone.movement', { position: movement.position }))} <span class="facet-count">(${t.number(movement.count)})</span></label></li>
+    `).join('')}
+  `).join('')
+}
+
 export const templates = {
   /**
    * Loading state template
@@ -16,18 +81,22 @@ export const templates = {
   /**
    * Error state template
    */
-  error: (title, message, backLink = '/') => `
+  error: (t, title, message, backLink = '/') => `
     <div class="spa-view error-view">
       <h1>${title}</h1>
       <p class="error-message">${message}</p>
-      <p><a href="${backLink}" data-spa-link class="back-link">← Return to Home</a></p>
+      <p><a href="${backLink}" data-spa-link class="back-link">← ${t('error.backHome')}</a></p>
     </div>
   `,
 
   /**
    * Complete facsimile viewer (main container)
+   * @param {Function} t - Translator
+   * @param {string} title - Edition label shown in the notebook modal
+   * @param {Object} facetOptions - Facet values present in the edition
+   * @param {Object} editions - Edition registry, offered for comparison
    */
-  facsimileViewer: () => `
+  facsimileViewer: (t, title, facetOptions, editions = {}) => `
     <div class="spa-view facsimile-view">
       <div class="page-preview-panel" id="page-preview-panel">
         <div class="page-preview-container" id="page-preview-container">
@@ -35,51 +104,223 @@ export const templates = {
         </div>
       </div>
       <div id="openseadragon-viewer">
-        ${templates.viewerControls()}
+        ${templates.viewerControls(t)}
+        ${templates.measurePanel(t)}
+        ${templates.enhancePanel(t)}
+        <button type="button" class="scale-bar" id="scale-bar" title="${t('scale.calibrate')}">
+          <span class="scale-bar-line"></span>
+          <span class="scale-bar-label"></span>
+        </button>
+        <div class="source-banner" id="source-banner" hidden>
+          <span class="source-banner-title"></span>
+          <button type="button" class="source-banner-link"></button>
+        </div>
         <div class="page-info-overlay" id="page-info"></div>
       </div>
-      ${templates.notebookModal()}
-      ${templates.sidePanel()}
+      ${templates.comparePane(t, editions)}
+      ${templates.calibrationDialog(t)}
+      ${templates.transcriptionPanel(t)}
+      ${templates.notebookModal(t, title)}
+      ${templates.sidePanel(t, facetOptions)}
     </div>
   `,
 
   /**
    * Viewer overlay controls
    */
-  viewerControls: () => `
+  viewerControls: (t) => `
     <div class="viewer-overlay-controls">
-      <button id="toggle-preview" class="control-button" title="Seitennavigation ein-/ausblenden">▲</button>
-      <button id="toggle-margins" class="control-button" title="Ränder ein-/ausblenden">⬌</button>
-      <button id="zoom-out" class="control-button" title="Zoom out">−</button>
-      <button id="zoom-in" class="control-button" title="Zoom in">+</button>
-      <button id="prev-page" class="control-button" title="Previous page">&lt;</button>
-      <button id="next-page" class="control-button" title="Next page">&gt;</button>
-      <button id="open-modal" class="control-button" title="Notirungsbuch öffnen">☰</button>
+      <button id="toggle-preview" class="control-button" title="${t('controls.togglePreview')}">▲</button>
+      <button id="toggle-margins" class="control-button" title="${t('controls.toggleMargins')}">⬌</button>
+      <button id="zoom-out" class="control-button" title="${t('controls.zoomOut')}">−</button>
+      <button id="zoom-in" class="control-button" title="${t('controls.zoomIn')}">+</button>
+      <button id="fit-spread" class="control-button" title="${t('controls.fitSpread')}">⤢</button>
+      <button id="actual-size" class="control-button" title="${t('controls.actualSize')}">1:1</button>
+      <button id="toggle-layout" class="control-button"></button>
+      <button id="toggle-scroll" class="control-button" title="${t('controls.scroll')}">⇕</button>
+      <button id="toggle-measure" class="control-button" title="${t('controls.measure')}">mm</button>
+      <button id="toggle-enhance" class="control-button" title="${t('controls.enhance')}">◐</button>
+      <button id="toggle-compare" class="control-button" title="${t('controls.compare')}">⧉</button>
+      <button id="prev-page" class="control-button" title="${t('controls.prevPage')}">&lt;</button>
+      <button id="next-page" class="control-button" title="${t('controls.nextPage')}">&gt;</button>
+      <button id="open-modal" class="control-button" title="${t('controls.openModal')}">☰</button>
+    </div>
+  `,
+
+  /**
+   * Second viewer for comparing spreads (see compare-pane.js)
+   * @param {Function} t - Translator
+   * @param {Object} editions - Edition registry
+   */
+  comparePane: (t, editions = {}) => `
+    <div class="compare-pane" hidden>
+      <div class="compare-toolbar">
+        <select class="compare-edition" title="${t('compare.edition')}">
+          ${Object.entries(editions).map(([id, edition]) => `<option value="${escapeHtml(id)}">${escapeHtml(edition.label)}</option>`).join('')}
+        </select>
+        <button type="button" class="control-button compare-prev" title="${t('controls.prevPage')}">&lt;</button>
+        <span class="compare-info"></span>
+        <button type="button" class="control-button compare-next" title="${t('controls.nextPage')}">&gt;</button>
+        <label class="compare-link">
+          <input type="checkbox" class="compare-linked">
+          ${t('compare.linked')}
+        </label>
+        <button type="button" class="control-button compare-close" title="${t('compare.close')}">✕</button>
+      </div>
+      <div class="compare-viewer"></div>
+    </div>
+  `,
+
+  /**
+   * Measurement panel, shown while measuring
+   * @param {Function} t - Translator
+   */
+  measurePanel: (t) => `
+    <div id="measure-panel" class="measure-panel" hidden>
+      <div class="measure-shapes">
+        <button type="button" class="measure-shape" data-shape="line">${t('measure.line')}</button>
+        <button type="button" class="measure-shape" data-shape="rect">${t('measure.rect')}</button>
+      </div>
+      <p class="measure-hint">${t('measure.hint')}</p>
+      <ol class="measure-results" id="measure-results"></ol>
+      <label class="measure-option">
+        <input type="checkbox" id="measure-in-url">
+        ${t('measure.inUrl')}
+      </label>
+      <div class="measure-actions">
+        <button type="button" id="measure-copy">${t('measure.copy')}</button>
+        <button type="button" id="measure-clear">${t('measure.clear')}</button>
+      </div>
+    </div>
+  `,
+
+  /**
+   * Image enhancement panel (see enhance.js)
+   * @param {Function} t - Translator
+   */
+  enhancePanel: (t) => `
+    <form id="enhance-panel" class="enhance-panel" hidden>
+      <label>
+        ${t('enhance.brightness')}
+        <input type="range" name="brightness" min="-100" max="100" step="1" value="0">
+      </label>
+      <label>
+        ${t('enhance.contrast')}
+        <input type="range" name="contrast" min="-100" max="100" step="1" value="0">
+      </label>
+      <label>
+        ${t('enhance.gamma')}
+        <input type="range" name="gamma" min="0.2" max="3" step="0.05" value="1">
+      </label>
+      <label>
+        ${t('enhance.channel')}
+        <select name="channel">
+          <option value="all">${t('enhance.channelAll')}</option>
+          <option value="red">${t('enhance.channelRed')}</option>
+          <option value="green">${t('enhance.channelGreen')}</option>
+          <option value="blue">${t('enhance.channelBlue')}</option>
+        </select>
+      </label>
+      <label class="enhance-check">
+        <input type="checkbox" name="greyscale">
+        ${t('enhance.greyscale')}
+      </label>
+      <label class="enhance-check">
+        <input type="checkbox" name="invert">
+        ${t('enhance.invert')}
+      </label>
+      <label class="enhance-check">
+        <input type="checkbox" name="thresholdEnabled">
+        ${t('enhance.threshold')}
+      </label>
+      <input type="range" name="threshold" min="1" max="254" step="1" value="128">
+      <p class="enhance-note" hidden>${t('enhance.unavailable')}</p>
+      <div class="enhance-actions">
+        <button type="button" data-preset="pencil">${t('enhance.presetPencil')}</button>
+        <button type="button" data-preset="ink">${t('enhance.presetInk')}</button>
+        <button type="reset">${t('enhance.reset')}</button>
+      </div>
+    </form>
+  `,
+
+  /**
+   * Screen calibration dialog for the actual size zoom
+   * @param {Function} t - Translator
+   */
+  calibrationDialog: (t) => `
+    <div id="calibration-dialog" class="calibration-dialog" role="dialog" aria-labelledby="calibration-title" hidden>
+      <h2 id="calibration-title">${t('scale.calibrationTitle')}</h2>
+      <p>${t('scale.calibrationHint')}</p>
+      <div class="calibration-card" id="calibration-card"></div>
+      <input type="range" id="calibration-size" min="150" max="700" step="1">
+      <div class="calibration-actions">
+        <button type="button" id="calibration-cancel">${t('filter.cancel')}</button>
+        <button type="button" id="calibration-save">${t('scale.save')}</button>
+      </div>
+    </div>
+  `,
+
+  /**
+   * Transcription panel: the writing zone from the facsimile beside its transcription
+   * @param {Function} t - Translator
+   */
+  transcriptionPanel: (t) => `
+    <div id="transcription-panel" class="transcription-panel" role="dialog" aria-labelledby="transcription-title" hidden>
+      <div class="transcription-header">
+        <h2 class="transcription-title" id="transcription-title"></h2>
+        <div class="transcription-versions" hidden>
+          <button type="button" class="transcription-version" data-version="diplomatic">${t('transcription.diplomatic')}</button>
+          <button type="button" class="transcription-version" data-version="edited">${t('transcription.edited')}</button>
+        </div>
+        <button type="button" class="transcription-close">✕ ${t('modal.close')}</button>
+      </div>
+      <div class="transcription-body">
+        <figure class="transcription-facsimile">
+          <img class="transcription-image" alt="${t('transcription.facsimile')}">
+        </figure>
+        <div class="transcription-content">
+          <p class="transcription-status" hidden></p>
+          <div class="transcription-notation"></div>
+        </div>
+      </div>
     </div>
   `,
 
   /**
    * Notebook modal template (hardcoded data for now)
+   * @param {Function} t - Translator
+   * @param {string} title - Edition label
    */
-  notebookModal: () => `
+  notebookModal: (t, title = 'Ludwig van Beethoven: Notirungsbuch K') => `
     <!-- Modal -->
     <div id="notebook-modal" class="notebook-modal" hidden>
       <div class="modal-header">
-        <h2 class="modal-title">Ludwig van Beethoven: Notirungsbuch K</h2>
-        <button id="close-modal" class="modal-close-btn">✕ Schließen</button>
+        <h2 class="modal-title">${escapeHtml(title)}</h2>
+        <div class="modal-views">
+          <button type="button" class="modal-view active" data-view="notebook">${t('modal.viewNotebook')}</button>
+          <button type="button" class="modal-view" data-view="sources">${t('modal.viewSources')}</button>
+        </div>
+        <button id="close-modal" class="modal-close-btn">✕ ${t('modal.close')}</button>
+      </div>
+      <div class="modal-toolbar">
+        <input type="search" id="concordance-search" class="concordance-search" placeholder="${t('concordance.search')}" aria-label="${t('concordance.search')}">
+        <span class="concordance-count" id="concordance-count"></span>
+        <button type="button" id="concordance-csv" title="${t('concordance.export')}">CSV</button>
+        <button type="button" id="concordance-json" title="${t('concordance.export')}">JSON</button>
       </div>
       <div class="modal-content">
+        <p class="concordance-empty" id="concordance-empty" hidden>${t('concordance.empty')}</p>
         <table class="pages-table">
           <thead>
             <tr class="table-header-main">
-              <th colspan="2" class="header-verso">Verso</th>
-              <th colspan="2" class="header-recto">Recto</th>
+              <th colspan="2" class="header-verso">${t('modal.verso')}</th>
+              <th colspan="2" class="header-recto">${t('modal.recto')}</th>
             </tr>
             <tr class="table-header-sub">
-              <th class="col-page">Seite</th>
-              <th class="col-source col-verso">Quelle mit Seitenzählung</th>
-              <th class="col-source col-recto">Quelle mit Seitenzählung</th>
-              <th class="col-page">Seite</th>
+              <th class="col-page">${t('modal.page')}</th>
+              <th class="col-source col-verso">${t('modal.source')}</th>
+              <th class="col-source col-recto">${t('modal.source')}</th>
+              <th class="col-page">${t('modal.page')}</th>
             </tr>
           </thead>
           <tbody>
@@ -121,134 +362,109 @@ export const templates = {
             </tr>
           </tbody>
         </table>
+        <div class="sources-view" id="sources-view" hidden></div>
       </div>
     </div>
   `,
 
   /**
    * Side panel with zones list and filters
+   * @param {Function} t - Translator
+   * @param {Object} facetOptions - Facet values present in the edition
    */
-  sidePanel: () => `
+  sidePanel: (t, facetOptions) => `
     <div class="side-panel" id="side-panel">
       <div class="side-panel-tabs">
         <button class="side-panel-tab active" data-panel="zones">
-          <span class="tab-label">Skizzen</span>
+          <span class="tab-label">${t('panel.sketches')}</span>
         </button>
       </div>
       <div class="side-panel-content" id="side-panel-content">
         <!-- Panel 1: Writing Zones List -->
         <div class="panel-section active" data-panel="zones">
-          <button id="show-filter-btn" class="filter-btn">Filter</button>
+          <button id="show-filter-btn" class="filter-btn">${t('panel.filter')}</button>
+          <div class="filter-result-count" id="filter-result-count"></div>
           <ul class="zones-list">
             <!-- Writing zones and metadata will be populated dynamically -->
           </ul>
         </div>
         <!-- Panel 2: Filter Panel -->
-        ${templates.filterPanel()}
+        ${templates.filterPanel(t, facetOptions)}
       </div>
     </div>
   `,
 
   /**
    * Filter panel (complete)
+   * @param {Function} t - Translator
+   * @param {Object} options - Facet values present in the edition (see collectFacetOptions)
    */
-  filterPanel: () => `
+  filterPanel: (t, options = {}) => `
     <div class="panel-section" data-panel="filter">
       <div class="filter-header">
-        <button id="cancel-filter-btn" title="Abbrechen" class="cancel-filter-btn">×</button>
+        <button id="cancel-filter-btn" title="${t('filter.cancel')}" class="cancel-filter-btn">×</button>
       </div>
-      <h4>Suchraum</h4>
+      <h4>${t('filter.scope')}</h4>
       <div class="filterbox" class="filterbox">
-        <label><input type="checkbox" id="restrict-to-current-page" name="suchraum" value="current-page" checked> Auf aktuelle Doppelseite beschränken</label>
+        <label><input type="checkbox" id="restrict-to-current-page" name="suchraum" value="current-page" checked> ${t('filter.restrictToSpread')}</label>
       </div>
-      <h4>Vorzeichnung</h4>
-      <div class="filterbox" class="filterbox filter-vorzeichnung">
-        <div class="vorzeichnung-controls">
-          <div id="vorzeichnung-current" class="vorzeichnung-value">0</div>
-          <input type="range" id="vorzeichnung-slider" name="vorzeichnung" min="0" max="14" value="7" step="1" class="vorzeichnung-slider">
+      <h4>${t('filter.key')}</h4>
+      <div class="filterbox filter-vorzeichnung">
+        <div class="filter-grid filter-keys">
+          ${facetCheckboxes(t, options.key, 'key', keySigLabel)}
         </div>
         <div class="filter-checkboxes">
-          <label><input type="checkbox" id="vorzeichnung-ergaenzt" name="vorzeichnung-extra"> original</label>
-          <label><input type="checkbox" id="vorzeichnung-nicht-notiert" name="vorzeichnung-missing"> ergänzt</label>
+          <label><input type="checkbox" name="key-status" value="original"> ${t('filter.original')}${facetCount(t, options.keyStatus, 'original')}</label>
+          <label><input type="checkbox" name="key-status" value="supplied"> ${t('filter.supplied')}${facetCount(t, options.keyStatus, 'supplied')}</label>
         </div>
-        <script>
-          (function() {
-            const slider = document.getElementById('vorzeichnung-slider')
-            const label = document.getElementById('vorzeichnung-current')
-            const values = [
-              '7&#9837;', '6&#9837;', '5&#9837;', '4&#9837;', '3&#9837;', '2&#9837;', '1&#9837;', '0',
-              '1&#9839;', '2&#9839;', '3&#9839;', '4&#9839;', '5&#9839;', '6&#9839;', '7&#9839;'
-            ]
-            function updateLabel() {
-              label.innerHTML = values[slider.value]
-            }
-            slider.addEventListener('input', updateLabel)
-            updateLabel()
-          })()
-        </script>
       </div>
-      <h4>Taktart</h4>
+      <h4>${t('filter.meter')}</h4>
       <div class="filterbox">
         <div class="filter-grid">
-          <label><input type="checkbox" name="meter" value="4/4"> 4/4</label>
-          <label><input type="checkbox" name="meter" value="3/4"> 3/4</label>
-          <label><input type="checkbox" name="meter" value="2/4"> 2/4</label>
-          <label><input type="checkbox" name="meter" value="2/2"> 2/2</label>
-          <label><input type="checkbox" name="meter" value="2/8"> 2/8</label>
-          <label><input type="checkbox" name="meter" value="3/8"> 3/8</label>
-          <label><input type="checkbox" name="meter" value="6/8"> 6/8</label>
-          <label><input type="checkbox" name="meter" value="9/8"> 9/8</label>
+          ${facetCheckboxes(t, options.meter, 'meter')}
         </div>
         <div class="filter-checkboxes">
-          <label><input type="checkbox" id="vorzeichnung-ergaenzt" name="vorzeichnung-extra"> ergänzt</label>
-          <label><input type="checkbox" id="vorzeichnung-nicht-notiert" name="vorzeichnung-missing"> nicht notiert</label>
+          <label><input type="checkbox" name="meter-status" value="supplied"> ${t('filter.supplied')}${facetCount(t, options.meterStatus, 'supplied')}</label>
+          <label><input type="checkbox" name="meter-status" value="missing"> ${t('filter.missing')}${facetCount(t, options.meterStatus, 'missing')}</label>
         </div>
       </div>
-      <h4>Schlüssel (kann weg?)</h4>
+      <h4>${t('filter.clef')}</h4>
       <div class="filterbox">
         <ul>
-          <li><input type="checkbox" id="clef-treble" name="clef" value="treble"> <label for="clef-treble">Violinschlüssel</label></li>
-          <li><input type="checkbox" id="clef-bass" name="clef" value="bass"> <label for="clef-bass">Bassschlüssel</label></li>
-          <li><input type="checkbox" id="clef-c" name="clef" value="c"> <label for="clef-c">C-Schlüssel</label></li>
-          <li><input type="checkbox" id="clef-unset" name="clef" value="unset"> <label for="clef-unset">Nicht festgelegt</label></li>
+          <li><input type="checkbox" id="clef-treble" name="clef" value="treble"> <label for="clef-treble">${t('filter.clefTreble')}${facetCount(t, options.clef, 'treble')}</label></li>
+          <li><input type="checkbox" id="clef-bass" name="clef" value="bass"> <label for="clef-bass">${t('filter.clefBass')}${facetCount(t, options.clef, 'bass')}</label></li>
+          <li><input type="checkbox" id="clef-c" name="clef" value="c"> <label for="clef-c">${t('filter.clefC')}${facetCount(t, options.clef, 'c')}</label></li>
+          <li><input type="checkbox" id="clef-unset" name="clef" value="unset"> <label for="clef-unset">${t('filter.clefUnset')}${facetCount(t, options.clef, 'unset')}</label></li>
         </ul>
       </div>
-      <h4>Länge</h4>
+      <h4>${t('filter.length')}</h4>
       <div class="filterbox">
         <ul>
-          <li><input type="checkbox" id="length-short" name="length" value="short"> <label for="length-short">bis fünf Takte</label></li>
-          <li><input type="checkbox" id="length-medium" name="length" value="medium"> <label for="length-medium">sechs bis zehn Takte</label></li>
-          <li><input type="checkbox" id="length-long" name="length" value="long"> <label for="length-long">mehr als zehn Takte</label></li>
+          <li><input type="checkbox" id="length-short" name="length" value="short"> <label for="length-short">${t('filter.lengthShort')}${facetCount(t, options.length, 'short')}</label></li>
+          <li><input type="checkbox" id="length-medium" name="length" value="medium"> <label for="length-medium">${t('filter.lengthMedium')}${facetCount(t, options.length, 'medium')}</label></li>
+          <li><input type="checkbox" id="length-long" name="length" value="long"> <label for="length-long">${t('filter.lengthLong')}${facetCount(t, options.length, 'long')}</label></li>
         </ul>
       </div>
-      <h4>Anzahl Systeme</h4>
+      <h4>${t('filter.staves')}</h4>
       <div class="filterbox">
         <div class="filter-horizontal">
-          <label><input type="checkbox" name="row-checkbox" value="1"> 1</label>
-          <label><input type="checkbox" name="row-checkbox" value="2"> 2</label>
-          <label><input type="checkbox" name="row-checkbox" value="3"> 3</label>
-        </div>                
+          ${facetCheckboxes(t, options.staves, 'staves')}
+        </div>
       </div>
-      <h4>Verbalanmerkungen</h4>
-      <div class="filterbox" class="filter-horizontal">
-        <label><input type="checkbox" name="verbalanmerkung" value="vorhanden"> vorhanden</label>
-        <label><input type="checkbox" name="verbalanmerkung" value="nicht-vorhanden"> ohne</label>
+      <h4>${t('filter.clarification')}</h4>
+      <div class="filterbox filter-horizontal">
+        <label><input type="checkbox" name="clarification" value="yes"> ${t('filter.present')}${facetCount(t, options.clarification, 'yes')}</label>
+        <label><input type="checkbox" name="clarification" value="no"> ${t('filter.absent')}${facetCount(t, options.clarification, 'no')}</label>
       </div>
-      <h4>Verweiszeichen</h4>
-      <div class="filterbox" class="filter-horizontal">
-        <label><input type="checkbox" name="verweiszeichen" value="vorhanden"> vorhanden</label>
-        <label><input type="checkbox" name="verweiszeichen" value="nicht-vorhanden"> ohne</label>
+      <h4>${t('filter.navigation')}</h4>
+      <div class="filterbox filter-horizontal">
+        <label><input type="checkbox" name="navigation" value="yes"> ${t('filter.present')}${facetCount(t, options.navigation, 'yes')}</label>
+        <label><input type="checkbox" name="navigation" value="no"> ${t('filter.absent')}${facetCount(t, options.navigation, 'no')}</label>
       </div>
-      <h4>Werkbezug</h4>
+      <h4>${t('filter.work')}</h4>
       <div class="filterbox">
-        <ul class="zones-list">
-          <li><label><input type="checkbox" name="werkbezug" value="Op.120"> Op.120</label></li>
-          <li><label><input type="checkbox" name="werkbezug" value="Op.125"> Op.125</label></li>
-          <li class="sub-item"><label><input type="checkbox" name="werkbezug" value="Op.125-1"> 1. Satz</label></li>
-          <li class="sub-item"><label><input type="checkbox" name="werkbezug" value="Op.125-2"> 2. Satz</label></li>
-          <li class="sub-item"><label><input type="checkbox" name="werkbezug" value="Op.125-3"> 3. Satz</label></li>
-          <li class="sub-item"><label><input type="checkbox" name="werkbezug" value="Op.125-4"> 4. Satz</label></li>
-          <li><label><input type="checkbox" name="werkbezug" value="unbekannt"> unbekannt</label></li>
+        <ul class="work-options">
+          ${workOptions(t, options.works)}
         </ul>
       </div>
       
@@ -261,7 +477,8 @@ export const templates = {
         "Früher war mehr Lametta…" 🎀
       </p>-->
       <!-- Apply Filter Button -->
-      <button id="apply-filter-btn" class="apply-filter-btn">Filter anwenden</button>
+      <button id="apply-filter-btn" class="apply-filter-btn">${t('filter.apply')}</button>
+      <button id="reset-filter-btn" class="reset-filter-btn">${t('filter.reset')}</button>
     </div>
   `
 }
@@ -0,0 +1,112 @@
+/**
+ * Transcriptions for VideFacs Components
+ * Loads the MEI transcriptions of a writing zone and engraves them with Verovio
+ *
+ * A zone names its transcription file in `identifier.atFilename`. The URL is
+ * built from the `transcriptionUrl` template: `{file}` is replaced with the file
+ * name and `{version}` with 'diplomatic' or 'edited'. Templates without
+ * `{version}` point to a single transcription.
+ */
+
+/**
+ * Transcription versions, in the order they are offered
+ */
+export const transcriptionVersions = ['diplomatic', 'edited']
+
+// Shared loader so that several instances don't load Verovio twice
+let verovioLoader = null
+
+/**
+ * Build the URLs of the transcriptions of a file
+ * @param {string} template - URL template, e.g. '/data/{version}/{file}'
+ * @param {string} file - atFilename of a zone
+ * @returns {Array} [{ version, url }], version null for a template without {version}
+ */
+export function transcriptionUrls(template, file) {
+  const url = version => template
+    .replace(/\{file\}/g, encodeURIComponent(file))
+    .replace(/\{version\}/g, version)
+
+  if (!template.includes('{version}')) return [{ version: null, url: url('') }]
+  return transcriptionVersions.map(version => ({ version, url: url(version) }))
+}
+
+/**
+ * Fetch the transcriptions of a file
+ * Versions that are missing on the server are left out.
+ * @param {Array} urls - Result of transcriptionUrls
+ * @param {Object} fetchOptions - Options for fetch (e.g. signal)
+ * @returns {Promise<Array>} [{ version, mei }]
+ */
+export async function fetchTranscriptions(urls, fetchOptions = {}) {
+  const results = await Promise.allSettled(urls.map(async ({ version, url }) => {
+    const response = await fetch(url, fetchOptions)
+    if (!response.ok) throw new Error(`Failed to load transcription: ${response.status}`)
+    return { version, mei: await response.text() }
+  }))
+
+  // An abort cancels all versions, so report it rather than an empty result
+  const aborted = results.find(result => result.status === 'rejected' && result.reason?.name === 'AbortError')
+  if (aborted) throw aborted.reason
+
+  return results.filter(result => result.status === 'fulfilled').map(result => result.value)
+}
+
+/**
+ * Load the Verovio toolkit (WASM build) once for all instances
+ * @param {string} src - URL of verovio-toolkit-wasm.js
+ * @returns {Promise<Object>} Verovio toolkit
+ */
+export function loadVerovio(src) {
+  if (!verovioLoader) {
+    verovioLoader = new Promise((resolve, reject) => {
+      const script = document.createElement('script')
+      script.src = src
+      script.onload = () => {
+        // The WebAssembly runtime starts after the script has run
+        const { module } = window.verovio
+        const create = () => resolve(new window.verovio.toolkit())
+        if (module.calledRun) {
+          create()
+        } else {
+          module.onRuntimeInitialized = create
+        }
+      }
+      script.onerror = () => {
+        verovioLoader = null
+        reject(new Error(`Failed to load Verovio from ${src}`))
+      }
+      document.head.appendChild(script)
+    })
+  }
+
+  return verovioLoader
+}
+
+/**
+ * Engrave MEI as SVG
+ * @param {Object} toolkit - Verovio toolkit
+ * @param {string} mei - MEI document
+ * @param {number} width - Available width in CSS pixels
+ * @returns {Array<string>} SVG markup of each page
+ */
+export function renderTranscription(toolkit, mei, width) {
+  toolkit.setOptions({
+    // The SVG scales with its container, width only sets where systems break
+    svgViewBox: true,
+    adjustPageHeight: true,
+    pageWidth: Math.max(500, Math.round(width * 100 / 35)),
+    scale: 35,
+    breaks: 'auto',
+    header: 'none',
+    footer: 'none'
+  })
+
+  if (!toolkit.loadData(mei)) throw new Error('Verovio could not read the transcription')
+
+  const pages = []
+  for (let page = 1; page <= toolkit.getPageCount(); page++) {
+    pages.push(toolkit.renderToSVG(page))
+  }
+  return pages
+}
@@ -1,6 +1,11 @@
+import { resolveConfig, routeHref } from './config.js';
+import { createTranslator } from './i18n.js';
+
 /**
  * VideFacsNav Component
  * Navigation component for the Digital Facsimile SPA
+ * Links are generated from the configuration of the enclosing <vide-facs>
+ * (or from the nav element's own attributes when used standalone)
  */
 export class VideFacsNav extends HTMLElement {
   constructor() {
@@ -12,10 +17,16 @@ export class VideFacsNav extends HTMLElement {
   }
 
   render() {
+    const config = resolveConfig(this.closest('vide-facs') || this.getRootNode().host || this);
+    const t = createTranslator(config.lang);
+    const editionLinks = Object.keys(config.editions)
+      .map(id => `<a href="${routeHref(config, `/${id}/`)}" data-spa-link data-nav="${id}">${id}</a>`)
+      .join('');
+
     this.innerHTML = `
       <nav class="spa-nav">
-        <a href="/facs/" data-spa-link data-nav="home">Home</a>
-        <a href="/facs/NK/" data-spa-link data-nav="NK">NK</a>
+        <a href="${routeHref(config, '/')}" data-spa-link data-nav="home">${t('nav.home')}</a>
+        ${editionLinks}
       </nav>
     `;
   }
@@ -1,14 +1,172 @@
 import { templates } from './templates.js'
+import { createTranslator } from './i18n.js'
+import { defaultConfig, normalizeEditions, routeHref, layoutModes } from './config.js'
+import {
+  isPresentation2,
+  isPresentation3,
+  fromPresentation2,
+  fromPresentation3,
+  embedAnnotations
+} from './iiif.js'
+import {
+  pagePlacement,
+  pagesBounds,
+  zonePolygon,
+  pointInPolygon,
+  polygonArea,
+  polygonBounds
+} from './geometry.js'
+import { computeSpreads, spreadOf, spreadSpec, spreadSlot } from './spreads.js'
+import { groupBySource, findSource, findSourceByDoc, serializeSourceSpec, parseSourceSpec } from './sources.js'
+import {
+  buildConcordance,
+  matchesConcordanceQuery,
+  concordanceToCsv,
+  concordanceToJson
+} from './concordance.js'
+import {
+  measure,
+  measurementOutline,
+  worldToPage,
+  pageToWorld,
+  serializeMeasureSpec,
+  parseMeasureSpec
+} from './measure.js'
+import {
+  CARD_WIDTH_MM,
+  DEFAULT_PIXELS_PER_MM,
+  loadCalibration,
+  saveCalibration,
+  scaleBarLength
+} from './scale.js'
+import {
+  defaultEnhancement,
+  enhancementPresets,
+  normalizeEnhancement,
+  isDefaultEnhancement,
+  buildToneTable,
+  applyEnhancement,
+  serializeEnhanceSpec,
+  parseEnhanceSpec,
+  loadSessionEnhancement,
+  saveSessionEnhancement
+} from './enhance.js'
+import { ComparePane, parseCompareSpec, serializeCompareSpec } from './compare-pane.js'
+import {
+  transcriptionUrls,
+  fetchTranscriptions,
+  loadVerovio,
+  renderTranscription
+} from './transcription.js'
+import {
+  emptyFilters,
+  hasActiveFacets,
+  zoneMatchesFilters,
+  readFilterForm,
+  writeFilterForm,
+  serializeFilterSpec,
+  parseFilterSpec,
+  collectFacetOptions
+} from './filters.js'
+
+// Shared loader so that several instances don't inject OpenSeadragon twice
+let openSeadragonLoader = null
+
+// Instance that receives keyboard shortcuts (the one last interacted with)
+let activeRouter = null
+
+// Vertical space between spreads stacked for continuous scrolling, in mm
+const SCROLL_GAP = 30
+
+/**
+ * Load the OpenSeadragon script once for all instances
+ * @param {string} src - Script URL
+ * @returns {Promise}
+ */
+function loadOpenSeadragon(src) {
+  if (typeof OpenSeadragon !== 'undefined') return Promise.resolve()
+
+  if (!openSeadragonLoader) {
+    openSeadragonLoader = new Promise((resolve, reject) => {
+      const script = document.createElement('script')
+      script.src = src
+      script.onload = resolve
+      script.onerror = () => {
+        openSeadragonLoader = null
+        reject(new Error(`Failed to load OpenSeadragon from ${src}`))
+      }
+      document.head.appendChild(script)
+    })
+  }
+
+  return openSeadragonLoader
+}
 
 /**
  * Test1Router
- * Client-side router using the History API for the Digital Facsimile SPA island
+ * Client-side router for the Digital Facsimile SPA island
+ *
+ * Routing modes (config.routing):
+ *   history - paths below basePath via the History API (default)
+ *   hash    - paths in the URL fragment, e.g. index.html#/NK/p2/
+ *   memory  - current path kept on the instance, window.location is left alone
  */
 export class VideFacsRouter {
-  constructor(appElement) {
-    this.basePath = '/facs'
+  /**
+   * @param {HTMLElement} appElement - The <vide-facs> element
+   * @param {Object} config - Resolved configuration (see config.js)
+   */
+  constructor(appElement, config = {}) {
+    this.config = {
+      ...defaultConfig,
+      ...config,
+      editions: config.editions || normalizeEditions(defaultConfig.editions)
+    }
+    this.config.defaultEdition = this.config.defaultEdition || Object.keys(this.config.editions)[0]
+    this.basePath = this.config.basePath
+    this.routing = this.config.routing || 'history'
+    this.t = createTranslator(this.config.lang)
+    // Chosen layout ('spread', 'single' or 'auto'), see isSingleLayout
+    this.layout = this.config.layout || 'spread'
+    // Continuous scrolling through all spreads, see setScrollMode
+    this.scrollMode = !!this.config.scroll
+    // Physical source paged through instead of the notebook (its key, see sources.js)
+    this.source = null
+    // Search in the notebook modal, kept while the modal is closed
+    this.concordanceQuery = ''
+    // Transcriptions of the zone in the transcription panel: [{ version, mei }]
+    this.transcriptions = []
+    this.transcriptionToken = 0
+    // Current path in memory mode
+    this.memoryPath = '/'
+    this.filters = emptyFilters()
+    // Measuring mode and measurements in page mm (see measure.js)
+    this.measureMode = false
+    this.measureShape = 'line'
+    this.measurements = []
+    this.measurementsInUrl = false
+    // Image adjustments (see enhance.js); the version marks tiles adjusted with older settings
+    this.enhancement = loadSessionEnhancement()
+    this.enhancementTable = buildToneTable(this.enhancement)
+    this.enhancementVersion = 0
+    // Spread shown beside the main viewer: { edition, pageSpec, linked } or null (see compare-pane.js)
+    this.compare = null
+    this.comparePane = null
+    // Last state reported by events, so each change is announced once
+    this.emittedFilterSpec = null
+    this.emittedPageSpec = null
+    this.emittedZone = null
     this.app = appElement
-    this.contentEl = appElement.querySelector('vide-facs-content')
+    // Aborted in destroy(): removes instance listeners and cancels pending fetches
+    this.lifecycle = new AbortController()
+    this.destroyed = false
+    // Generation counters: callbacks of an older edition load or spread bail out
+    this.loadToken = 0
+    this.spreadToken = 0
+    this.loadController = null
+    // All DOM lookups are scoped to this instance (its shadow root if it has one)
+    this.root = appElement.shadowRoot || appElement
+    this.contentEl = this.root.querySelector('vide-facs-content')
 
     if (!this.contentEl) {
       console.error('SPA content component not found')
@@ -21,7 +179,7 @@ export class VideFacsRouter {
   init() {
     // Check for ?_path parameter (from 404 redirect)
     const urlParams = new URLSearchParams(window.location.search)
-    const pathParam = urlParams.get('_path')
+    const pathParam = this.routing === 'history' ? urlParams.get('_path') : null
 
     if (pathParam) {
       // Restore clean URL and route
@@ -33,26 +191,144 @@ export class VideFacsRouter {
       this.route(this.getCurrentPath())
     }
 
-    // Handle browser back/forward buttons
-    window.addEventListener('popstate', () => {
-      this.route(this.getCurrentPath())
-    })
+    const { signal } = this.lifecycle
 
-    // Intercept clicks on SPA links (use delegation on app element)
-    this.app.addEventListener('click', (e) => {
+    // Handle browser back/forward buttons (ignore paths of other instances)
+    if (this.routing === 'history') {
+      window.addEventListener('popstate', () => {
+        if (window.location.pathname.startsWith(this.basePath)) {
+          this.route(this.getCurrentPath())
+        }
+      }, { signal })
+    } else if (this.routing === 'hash') {
+      window.addEventListener('hashchange', () => {
+        this.route(this.getCurrentPath())
+      }, { signal })
+    }
+
+    // Keyboard shortcuts go to the instance last interacted with
+    if (!activeRouter) activeRouter = this
+    const activate = () => { activeRouter = this }
+    this.app.addEventListener('pointerdown', activate, { signal })
+    this.app.addEventListener('focusin', activate, { signal })
+
+    // Intercept clicks on SPA links (use delegation on the root, where
+    // event targets are not retargeted to the host element)
+    this.root.addEventListener('click', (e) => {
       const link = e.target.closest('a[data-spa-link]')
       if (link) {
         e.preventDefault()
         const path = link.getAttribute('href')
         this.navigate(path)
       }
+    }, { signal })
+
+    // The auto layout follows the element's width
+    this.resizeObserver = new ResizeObserver(() => this.updateAutoLayout())
+    this.resizeObserver.observe(this.app)
+  }
+
+  /**
+   * Tear the instance down: destroy the viewer, remove all listeners and
+   * abort pending requests. The router cannot be used afterwards.
+   */
+  destroy() {
+    if (this.destroyed) return
+    this.destroyed = true
+
+    this.lifecycle.abort()
+    this.loadController?.abort()
+    this.resizeObserver?.disconnect()
+    this.cleanupViewer()
+    this.previewListeners?.abort()
+
+    if (activeRouter === this) activeRouter = null
+  }
+
+  /**
+   * Find an element by id within this instance
+   * @param {string} id - Element id
+   * @returns {HTMLElement|null}
+   */
+  byId(id) {
+    return this.root.querySelector(`#${id}`)
+  }
+
+  /**
+   * Whether this instance should handle global keyboard shortcuts
+   * @returns {boolean}
+   */
+  isActiveInstance() {
+    return activeRouter === this
+  }
+
+  /**
+   * Dispatch a `vide-facs:<name>` event on the <vide-facs> element
+   * Events bubble and cross shadow boundaries, so host pages can listen anywhere above.
+   * @param {string} name - Event name (pagechange, zonechange, filterchange, editionload, error)
+   * @param {Object} detail - Event detail
+   */
+  emit(name, detail = {}) {
+    this.app.dispatchEvent(new CustomEvent(`vide-facs:${name}`, {
+      detail,
+      bubbles: true,
+      composed: true
+    }))
+  }
+
+  /**
+   * Emit pagechange if the displayed spread differs from the last reported one
+   */
+  emitPageChange() {
+    const pageSpec = this.getState().pageSpec
+    const key = `${this.currentManifestId}/${pageSpec}`
+    if (key === this.emittedPageSpec) return
+    this.emittedPageSpec = key
+
+    this.emit('pagechange', {
+      edition: this.currentManifestId,
+      pageSpec,
+      pages: [...(this.currentPageIndices || [])]
     })
   }
 
+  /**
+   * Emit zonechange if the active zone differs from the last reported one
+   */
+  emitZoneChange() {
+    const { zone } = this.getState()
+    const key = zone ? `${this.currentManifestId}/${zone.pageIndex}.${zone.label}` : null
+    if (key === this.emittedZone) return
+    this.emittedZone = key
+
+    this.emit('zonechange', { edition: this.currentManifestId, zone })
+  }
+
+  /**
+   * Emit filterchange if the filters differ from the last reported ones
+   */
+  emitFilterChange() {
+    const filterSpec = this.getFilterSpec()
+    if (filterSpec === this.emittedFilterSpec) return
+    this.emittedFilterSpec = filterSpec
+
+    const { filters, allPages } = this.getState()
+    this.emit('filterchange', { filters, allPages, filterSpec })
+  }
+
   /**
    * Get the current path relative to basePath
    */
   getCurrentPath() {
+    if (this.routing === 'memory') {
+      return this.memoryPath
+    }
+
+    if (this.routing === 'hash') {
+      const hashPath = window.location.hash.slice(1)
+      return hashPath.startsWith('/') ? hashPath : '/'
+    }
+
     const fullPath = window.location.pathname
 
     // Remove basePath from the beginning
@@ -63,13 +339,28 @@ export class VideFacsRouter {
     return '/'
   }
 
+  /**
+   * Build the link target for a path relative to basePath (see routeHref)
+   * @param {string} path - Path like '/NK/p2/'
+   * @returns {string}
+   */
+  href(path) {
+    return routeHref(this.config, path)
+  }
+
   /**
    * Navigate to a new path within the SPA
-   * @param {string} path - Path (can be absolute or relative to basePath)
+   * @param {string} path - Path (can be absolute, relative to basePath or a '#/…' href)
+   * @param {Object} options - { replace: true } to replace the current history entry
    */
-  navigate(path) {
+  navigate(path, { replace = false } = {}) {
+    // Hash hrefs carry the path after '#'
+    if (path.startsWith('#')) {
+      path = path.slice(1)
+    }
+
     // If path includes basePath, extract the relative portion
-    if (path.startsWith(this.basePath)) {
+    if (this.routing !== 'hash' && path.startsWith(this.basePath)) {
       path = path.slice(this.basePath.length) || '/'
     }
 
@@ -78,10 +369,12 @@ export class VideFacsRouter {
       path = '/' + path
     }
 
-    const fullUrl = this.basePath + path
-
-    // Update browser history
-    history.pushState({ path }, '', fullUrl)
+    // Update browser history (a pushed hash does not fire hashchange)
+    if (this.routing === 'memory') {
+      this.memoryPath = path
+    } else {
+      history[replace ? 'replaceState' : 'pushState']({ path }, '', this.href(path))
+    }
 
     // Route to new content
     this.route(path)
@@ -98,19 +391,27 @@ export class VideFacsRouter {
     // Parse path segments
     const segments = path.split('/').filter(s => s)
 
-    // Route patterns:
-    // /facs/ -> redirect to /facs/NK/
+    // Route patterns (basePath '/facs', edition 'NK'):
+    // /facs/ -> redirect to the default edition, e.g. /facs/NK/
     // /facs/NK/ -> load manifest NK, show first page
     // /facs/NK/p2/ -> load manifest NK, show page 2
     // /facs/NK/p2-3/ -> load manifest NK, show pages 2-3 side by side
     // /facs/NK/p2/filter:allPages/ -> page 2 with filter
     // /facs/NK/p2/wz2.5/ -> load manifest NK, page 2, highlight zone 5
     // /facs/NK/p2/filter:allPages/wz2.5/ -> page 2 with filter and zone
+    // /facs/NK/p2/measure:l2:10,20,60,20/ -> page 2 with a measurement (see measure.js)
+    // /facs/NK/p2/enhance:grey,c=50/ -> page 2 with image adjustments (see enhance.js)
+    // /facs/NK/p2-3/compare:NK:8-9:linked/ -> pages 2-3 beside pages 8-9 (see compare-pane.js)
+    // /facs/NK/p9/source:D-BNba-HCB-BSk-21-69/ -> page 9 within its source (see sources.js)
     // /facs/NK/p8-9/wz9.1/ -> load manifest NK, pages 8-9, highlight zone 1 on page 9
 
     if (segments.length === 0) {
-      // /facs/ - redirect to NK manifest
-      this.navigate('/NK/')
+      // /facs/ - redirect to default edition
+      if (this.config.defaultEdition) {
+        this.navigate(`/${this.config.defaultEdition}/`)
+      } else {
+        this.renderNotFound(this.href('/'))
+      }
     } else if (segments.length === 1) {
       // /facs/NK/ - load manifest and show first page
       const manifestId = segments[0]
@@ -118,6 +419,9 @@ export class VideFacsRouter {
       if (this.viewer && this.currentManifestId !== manifestId) {
         this.cleanupViewer()
       }
+      if (this.currentManifestId !== manifestId) this.measurements = []
+      this.compare = null
+      this.source = null
       this.loadManifestAndRender(manifestId)
     } else {
       // Parse remaining segments to extract: manifestId, pageSpec, filters, zoneSpec
@@ -125,6 +429,10 @@ export class VideFacsRouter {
       let pageSpec = null
       let filterSpec = null
       let zoneSpec = null
+      let measureSpec = null
+      let enhanceSpec = null
+      let compareSpec = null
+      let sourceSpec = null
       
       // segments[1] is always pageSpec (p2, p2-3, etc)
       if (segments[1] && segments[1].startsWith('p')) {
@@ -135,22 +443,34 @@ export class VideFacsRouter {
       for (let i = 2; i < segments.length; i++) {
         if (segments[i].startsWith('filter:')) {
           filterSpec = segments[i].substring(7) // Remove 'filter:' prefix
+        } else if (segments[i].startsWith('enhance:')) {
+          enhanceSpec = segments[i].substring(8) // Remove 'enhance:' prefix
+        } else if (segments[i].startsWith('source:')) {
+          sourceSpec = segments[i].substring(7) // Remove 'source:' prefix
+        } else if (segments[i].startsWith('compare:')) {
+          compareSpec = segments[i].substring(8) // Remove 'compare:' prefix
+        } else if (segments[i].startsWith('measure:')) {
+          measureSpec = segments[i].substring(8) // Remove 'measure:' prefix
         } else if (segments[i].startsWith('wz')) {
           zoneSpec = segments[i].substring(2) // Remove 'wz' prefix
         }
       }
       
-      // Apply filters if present
-      if (filterSpec) {
-        this.applyFiltersFromUrl(filterSpec)
-        this.hasExplicitFilter = true // Track that user has explicitly set a filter
-      } else if (this.restrictToCurrentPage === undefined) {
-        // Only set default if never initialized
-        this.restrictToCurrentPage = true
-        this.hasExplicitFilter = false
-      }
-      // If filterSpec is not present and state already exists, preserve it (including explicit filter flag)
-
+      // Apply filters from the URL. All internal links carry the filter segment,
+      // so a path without one (e.g. reached via back button) means default filters
+      this.applyFiltersFromUrl(filterSpec || '')
+      this.hasExplicitFilter = !!filterSpec
+      
+      // Measurements belong to the pages of one edition
+      if (manifestId !== this.currentManifestId) this.measurements = []
+      if (measureSpec) this.applyMeasurementsFromUrl(measureSpec)
+      if (enhanceSpec) this.setEnhancement(parseEnhanceSpec(enhanceSpec), { updateUrl: false })
+      this.compare = compareSpec ? parseCompareSpec(compareSpec) : null
+
+      // Paging through a source changes the spreads around the shown page
+      const source = parseSourceSpec(sourceSpec)
+      const sourceChanged = source !== this.source
+      this.source = source
       
       // Parse zone spec if present
       let zoneLabel = null
@@ -166,6 +486,7 @@ export class VideFacsRouter {
         // Same manifest, viewer exists
         if (this.currentPageSpec === pageSpec) {
           // Same page spread, just update zone highlight and/or filters
+          if (sourceChanged) this.refreshSpreadNavigation()
           if (zoneLabel) {
             this.updateActiveZone(zoneLabel, zonePageIndex)
           }
@@ -187,6 +508,9 @@ export class VideFacsRouter {
         }
         this.loadManifestAndRender(manifestId, pageSpec, zoneLabel, zonePageIndex)
       }
+
+      // A new viewer shows the comparison once it is created (see createViewer)
+      if (this.viewer) this.syncComparePane()
     }
   }
 
@@ -194,6 +518,13 @@ export class VideFacsRouter {
    * Clean up OpenSeadragon viewer
    */
   cleanupViewer() {
+    // Listeners registered for the viewer's controls (document keydown etc.)
+    this.viewerListeners?.abort()
+    this.viewerListeners = null
+    this.comparePane?.destroy()
+    this.comparePane = null
+    this.transcriptionController?.abort()
+
     if (this.viewer) {
       try {
         this.viewer.destroy()
@@ -201,6 +532,10 @@ export class VideFacsRouter {
         console.warn('Error destroying viewer:', e)
       }
       this.viewer = null
+      this.zoneOverlay = null
+      this.measureOverlay = null
+      this.measureLabels = []
+      this.measureDraft = null
     }
   }
 
@@ -212,33 +547,27 @@ export class VideFacsRouter {
    * @param {number} zonePageIndex - Page index for the zone (1-based), optional
    */
   async loadManifestAndRender(manifestId, pageSpec = null, zoneLabel = null, zonePageIndex = null) {
-    // Map manifest IDs to edition data URLs
-    const editionUrls = {
-      'NK': '/temp/edition.json'
-    }
-
-    const editionUrl = editionUrls[manifestId]
-    if (!editionUrl) {
-      this.renderNotFound(`/facs/${manifestId}/`)
+    // Supersede any load still in progress
+    const token = ++this.loadToken
+    this.loadController?.abort()
+    this.loadController = new AbortController()
+    const { signal } = this.loadController
+
+    // Look up edition data URL in the configured registry
+    const edition = this.config.editions[manifestId]
+    if (!edition) {
+      this.renderNotFound(this.href(`/${manifestId}/`))
       return
     }
 
     try {
       // Show loading state
-      this.contentEl.setContent(templates.loading('Loading edition data...'))
+      this.contentEl.setContent(templates.loading(this.t('status.loadingEdition')))
 
-      // Fetch edition data
-      const response = await fetch(editionUrl)
-      if (!response.ok) throw new Error(`Failed to load edition data: ${response.status}`)
+      // Fetch edition data (aborted by a newer load or when the element is removed)
+      const sourceData = await this.fetchEdition(manifestId, { signal })
+      if (token !== this.loadToken) return
 
-      const editionData = await response.json()
-      
-      // Extract the actual data (skip HTTP headers at indices 0-3, data is in array at index 4)
-      // The structure is: [header, header, header, header, [actualData]]
-      const dataArray = editionData.find(item => Array.isArray(item) && item.length > 0)
-      if (!dataArray) throw new Error('Invalid edition data structure')
-      
-      const sourceData = dataArray[0]
       this.currentEdition = sourceData
       this.currentPages = sourceData.source.pages
       this.currentManifestId = manifestId
@@ -249,6 +578,19 @@ export class VideFacsRouter {
       // Build lookup map: genDescId → {pageIndex, label}
       this.buildZoneLookupMap()
 
+      // Group pages into spreads (see spreads.js)
+      this.spreads = computeSpreads(this.currentPages, edition.spreads)
+      this.sources = groupBySource(this.currentPages)
+
+      // Filter facets offer the values actually present in this edition
+      this.facetOptions = collectFacetOptions(this.currentPages)
+
+      this.emit('editionload', {
+        edition: manifestId,
+        label: edition.label,
+        pageCount: this.currentPages.length
+      })
+
       // Parse page specification
       const pages = this.parsePageSpec(pageSpec)
 
@@ -257,22 +599,67 @@ export class VideFacsRouter {
       
       // Setup previews immediately after rendering (independent of OSD viewer)
       setTimeout(() => {
+        if (this.destroyed || token !== this.loadToken) return
         const currentPageIndices = pages.map(p => this.currentPages.indexOf(p) + 1)
         this.setupPagePreviews(currentPageIndices)
       }, 100)
 
     } catch (error) {
+      if (error.name === 'AbortError' || token !== this.loadToken) return
       console.error('Error loading edition data:', error)
+      this.emit('error', { edition: manifestId, message: error.message, error })
       this.contentEl.setContent(
         templates.error(
-          'Error Loading Edition Data',
-          `Could not load edition data: ${error.message}`,
-          `${this.basePath}/`
+          this.t,
+          this.t('error.loadTitle'),
+          this.t('error.loadMessage', { message: error.message }),
+          this.href('/')
         )
       )
     }
   }
 
+  /**
+   * Fetch an edition of the registry and convert it (see parseEditionData)
+   * @param {string} manifestId - Manifest identifier (e.g., 'NK')
+   * @param {Object} fetchOptions - Options for fetch (e.g. signal)
+   * @returns {Promise<Object>} Edition object with source.label and source.pages
+   */
+  async fetchEdition(manifestId, fetchOptions = {}) {
+    const response = await fetch(this.config.editions[manifestId].url, fetchOptions)
+    if (!response.ok) throw new Error(`Failed to load edition data: ${response.status}`)
+
+    const editionData = await response.json()
+    return this.parseEditionData(editionData, fetchOptions)
+  }
+
+  /**
+   * Convert fetched edition data into the internal edition model
+   * Accepts IIIF Presentation 3 and 2.x manifests and the bespoke edition.json format
+   * @param {Object|Array} editionData - Parsed JSON
+   * @param {Object} fetchOptions - Options for fetching referenced annotations (e.g. signal)
+   * @returns {Promise<Object>} Edition object with source.label and source.pages
+   */
+  async parseEditionData(editionData, fetchOptions = {}) {
+    if (isPresentation3(editionData)) {
+      await embedAnnotations(editionData, fetchOptions)
+      return fromPresentation3(editionData, this.t.lang)
+    }
+
+    if (isPresentation2(editionData)) {
+      await embedAnnotations(editionData, fetchOptions)
+      return fromPresentation2(editionData, this.t.lang)
+    }
+
+    // Bespoke edition.json: skip HTTP headers at indices 0-3, data is in array at index 4
+    // The structure is: [header, header, header, header, [actualData]]
+    if (!Array.isArray(editionData)) throw new Error('Invalid edition data structure')
+    const dataArray = editionData.find(item => Array.isArray(item) && item.length > 0)
+    if (!dataArray) throw new Error('Invalid edition data structure')
+
+    return dataArray[0]
+  }
+
   /**
    * Build lookup map for genDescId to zone location
    */
@@ -297,24 +684,225 @@ export class VideFacsRouter {
   }
 
   /**
-   * Get the page spec (single or double page) for a given page index
-   * Page 1 is alone, then pairs: 2-3, 4-5, 6-7, etc.
+   * Get the page spec of the displayed spread containing a page
    * @param {number} pageIndex - 1-based page index
-   * @returns {string} Page spec like '1', '2-3', '4-5'
+   * @param {string|null} source - Source paged through (see getDisplaySpreads)
+   * @returns {string} Page spec like '1', '2-3', '4-5' ('2' in single page layout)
+   */
+  getPageSpec(pageIndex, source = this.source) {
+    const spread = spreadOf(this.getDisplaySpreads(source), pageIndex)
+    return spread ? spreadSpec(spread) : `${pageIndex}`
+  }
+
+  /**
+   * Whether pages are shown one at a time
+   * The auto layout does so when the element is narrower than config.singlePageWidth.
+   * @returns {boolean}
    */
-  getPageSpec(pageIndex) {
-    if (pageIndex === 1) {
-      return '1'
+  isSingleLayout() {
+    if (this.layout === 'auto') {
+      return this.app.getBoundingClientRect().width < this.config.singlePageWidth
     }
-    
-    // For pages 2+, calculate the pair
-    // Page 2 pairs with 3, page 4 with 5, etc.
-    const isEven = pageIndex % 2 === 0
-    if (isEven) {
-      return `${pageIndex}-${pageIndex + 1}`
-    } else {
-      return `${pageIndex - 1}-${pageIndex}`
+    return this.layout === 'single'
+  }
+
+  /**
+   * Spreads as displayed: the edition's spreads, or every page alone in single page
+   * layout or when paging through a source (in the source's order)
+   * @param {string|null} source - Key of the source paged through, null for the notebook
+   * @returns {Array<Array<number>>}
+   */
+  getDisplaySpreads(source = this.source) {
+    const group = source ? findSource(this.sources || [], source) : null
+    if (group) return group.pageIndices.map(pageIndex => [pageIndex])
+    if (!this.isSingleLayout()) return this.spreads || []
+    return (this.currentPages || []).map((page, index) => [index + 1])
+  }
+
+  /**
+   * Adopt the layout a route shows, e.g. after following a link to a single page
+   * of a double-page spread
+   * The auto layout is kept: once the pages are shown, updateAutoLayout replaces
+   * the route with the one matching the element's width.
+   * @param {Array<number>} pageIndices - Displayed page indices
+   */
+  syncLayoutWithPages(pageIndices) {
+    // Sources are paged through one page at a time whatever the layout
+    if (this.source) return
+    if (this.layout === 'auto') {
+      queueMicrotask(() => this.updateAutoLayout())
+      return
+    }
+    const spread = spreadOf(this.spreads || [], pageIndices[0])
+    if (pageIndices.length === 2 && this.isSingleLayout()) {
+      this.layout = 'spread'
+    } else if (pageIndices.length === 1 && spread?.length === 2 && !this.isSingleLayout()) {
+      this.layout = 'single'
+    }
+    this.updateLayoutControl()
+  }
+
+  /**
+   * Switch the layout, keeping the current page and zone
+   * @param {string} layout - 'spread', 'single' or 'auto'
+   * @param {Object} options - Navigation options (see navigate)
+   */
+  setLayout(layout, options = {}) {
+    if (!layoutModes.includes(layout)) return
+    this.layout = layout
+    this.updateLayoutControl()
+    if (!this.currentPageIndices?.length) return
+
+    // Keep the active zone's page, otherwise the first shown page
+    const zoneShown = this.currentPageIndices.includes(this.currentZonePageIndex)
+    const anchor = zoneShown ? this.currentZonePageIndex : this.currentPageIndices[0]
+    const pageSpec = this.getPageSpec(anchor)
+    if (pageSpec === this.currentPageSpec) {
+      // The stacked spreads change even if the shown one does not
+      if (this.scrollMode && this.scrollWorldChanged()) this.rebuildViewer()
+      return
+    }
+
+    this.navigate(this.getPagePath(pageSpec, this.currentZonePageIndex, this.currentZoneLabel), options)
+  }
+
+  /**
+   * Re-apply the auto layout after the element was resized
+   */
+  updateAutoLayout() {
+    if (this.layout !== 'auto' || !this.currentPageIndices?.length) return
+    const showsSingle = this.currentPageIndices.length === 1
+    if (showsSingle !== this.isSingleLayout()) {
+      this.setLayout('auto', { replace: true })
+    }
+  }
+
+  /**
+   * Show the chosen layout on the layout control
+   */
+  updateLayoutControl() {
+    const layoutBtn = this.byId('toggle-layout')
+    if (!layoutBtn) return
+    layoutBtn.dataset.layout = this.layout
+    layoutBtn.textContent = { spread: '▯▯', single: '▯', auto: 'A' }[this.layout]
+    layoutBtn.title = this.t('controls.layout', { mode: this.t(`layout.${this.layout}`) })
+  }
+
+  /**
+   * Switch between paging spread by spread and continuous scrolling
+   * @param {boolean} enabled - Whether to stack all spreads in one scrollable view
+   */
+  setScrollMode(enabled) {
+    if (this.scrollMode === !!enabled) return
+    this.scrollMode = !!enabled
+    if (this.viewer) this.rebuildViewer()
+  }
+
+  /**
+   * Render the viewer again for the current spread, e.g. after the world layout changed
+   */
+  rebuildViewer() {
+    this.renderViewer(this.parsePageSpec(this.currentPageSpec))
+  }
+
+  /**
+   * Page through a physical source, or return to the notebook
+   * @param {string|null} source - Source name (page.surfaceDoc), null for the notebook
+   * @param {number} [pageIndex] - Page to show; by default the current page, or the
+   *   source's first page if the current one is not in it
+   * @returns {boolean} Whether the source exists
+   */
+  setSource(source, pageIndex = null) {
+    const group = source ? findSourceByDoc(this.sources || [], source) : null
+    if (source && !group) return false
+    const key = group?.key || null
+
+    let target = pageIndex || this.currentPageIndices?.[0]
+    if (group && !group.pageIndices.includes(target)) target = group.pageIndices[0]
+    if (!this.currentPages?.[target - 1]) return false
+
+    // Keep the selected zone if its page stays in view
+    const keepZone = this.currentZonePageIndex === target
+    this.navigate(this.getPagePath(
+      this.getPageSpec(target, key),
+      keepZone ? this.currentZonePageIndex : null,
+      keepZone ? this.currentZoneLabel : null,
+      key
+    ))
+    return true
+  }
+
+  /**
+   * Return to the notebook when a page outside the source is shown
+   * (e.g. a zone found by the filters on another page)
+   * @param {Array<number>} pageIndices - Shown page indices
+   */
+  leaveSourceOutside(pageIndices) {
+    if (!this.source) return
+    const group = findSource(this.sources || [], this.source)
+    if (!group || !pageIndices.every(pageIndex => group.pageIndices.includes(pageIndex))) {
+      this.source = null
+    }
+  }
+
+  /**
+   * Position of a page within the source paged through
+   * @param {number} pageIndex - Page index (1-based)
+   * @returns {Object|null} { doc, label, position, total }, or null in the notebook
+   */
+  getSourcePosition(pageIndex) {
+    const group = this.source ? findSource(this.sources || [], this.source) : null
+    const position = group ? group.pageIndices.indexOf(pageIndex) + 1 : 0
+    if (!position) return null
+    return {
+      doc: group.doc,
+      label: this.currentPages[pageIndex - 1].surfaceLabel || pageIndex,
+      position,
+      total: group.pageIndices.length
+    }
+  }
+
+  /**
+   * Show the spreads around the current one again, e.g. after entering or leaving a source
+   */
+  refreshSpreadNavigation() {
+    if (!this.currentPageIndices?.length) return
+    this.leaveSourceOutside(this.currentPageIndices)
+
+    if (this.scrollMode && this.scrollWorldChanged()) {
+      this.rebuildViewer()
+      return
     }
+    this.setupPageNavigation(this.currentPageIndices, this.currentPages.length)
+    this.setupPagePreviews(this.currentPageIndices)
+  }
+
+  /**
+   * Show the source paged through, with a way back to the page's place in the notebook
+   * @param {number} pageIndex - Shown page index (1-based)
+   */
+  updateSourceBanner(pageIndex) {
+    const banner = this.byId('source-banner')
+    if (!banner) return
+
+    const position = this.getSourcePosition(pageIndex)
+    banner.hidden = !position
+    if (!position) return
+
+    banner.querySelector('.source-banner-title').textContent = position.doc
+    const button = banner.querySelector('.source-banner-link')
+    button.textContent = this.t('source.toNotebook', { page: pageIndex })
+    button.onclick = () => this.setSource(null, pageIndex)
+  }
+
+  /**
+   * Whether a page is laid out left of the gutter (see spreadSlot)
+   * @param {Object} page - Page object
+   * @returns {boolean}
+   */
+  isVersoSlot(page) {
+    const pageIndex = this.currentPages.indexOf(page) + 1
+    return spreadSlot(this.spreads || [], pageIndex, page) === 'verso'
   }
 
   /**
@@ -326,8 +914,9 @@ export class VideFacsRouter {
     if (!this.currentPages) return []
 
     if (!pageSpec) {
-      // Default to first page
-      return [this.currentPages[0]]
+      // Default to the first spread
+      const firstSpread = this.getDisplaySpreads()[0] || [1]
+      return firstSpread.map(pageIndex => this.currentPages[pageIndex - 1]).filter(p => p)
     }
 
     if (pageSpec.includes('-')) {
@@ -349,10 +938,15 @@ export class VideFacsRouter {
    * @param {Array} pages - Array of IIIF canvas objects
    */
   renderViewer(pages) {
-    this.contentEl.setContent(templates.facsimileViewer())
+    if (this.destroyed) return
+    const edition = this.config.editions[this.currentManifestId]
+    this.contentEl.setContent(templates.facsimileViewer(this.t, edition?.label, this.facetOptions, this.config.editions))
 
-    // Initialize OpenSeadragon with pages
-    setTimeout(() => this.initOpenSeadragon(pages), 0)
+    // Initialize OpenSeadragon with pages (unless another load started meanwhile)
+    const token = this.loadToken
+    setTimeout(() => {
+      if (token === this.loadToken) this.initOpenSeadragon(pages)
+    }, 0)
   }
 
 
@@ -363,16 +957,18 @@ export class VideFacsRouter {
    */
   initOpenSeadragon(pages = []) {
     this.pagesToLoad = pages
+    const token = this.loadToken
 
     // Load OpenSeadragon if not already loaded
-    if (typeof OpenSeadragon === 'undefined') {
-      const script = document.createElement('script')
-      script.src = '/vide-component-facsimile/dist/vendor/openseadragon/openseadragon.min.js'
-      script.onload = () => this.createViewer()
-      document.head.appendChild(script)
-    } else {
-      this.createViewer()
-    }
+    loadOpenSeadragon(`${this.config.vendorPath}openseadragon.min.js`)
+      .then(() => {
+        if (token === this.loadToken) this.createViewer()
+      })
+      .catch(error => {
+        if (this.destroyed || token !== this.loadToken) return
+        console.error(error)
+        this.emit('error', { edition: this.currentManifestId, message: error.message, error })
+      })
   }
 
   /**
@@ -383,9 +979,9 @@ export class VideFacsRouter {
    * @returns {Object} OpenSeadragon.Rect for clipping in pixel coordinates
    */
   calculateClipRect(page, hideCenter = false, tiledImage, viewer) {
-    const { px, position } = page
+    const { px } = page
     const { xywh, width: pxWidth, height: pxHeight } = px
-    const isVerso = position.includes('verso')
+    const isVerso = this.isVersoSlot(page)
     
     if (!hideCenter) {
       // No clipping - return null
@@ -414,88 +1010,28 @@ export class VideFacsRouter {
   }
 
   /**
-   * Calculate positioning for a page in mm coordinate space
+   * Calculate positioning for a page in mm coordinate space (see pagePlacement)
    * @param {Object} page - Page object from edition.json
    * @returns {Object} Object with tileSource, x, y, width, degrees for OSD addTiledImage
    */
   calculatePagePosition(page) {
-    // Extract data from page
-    const { target, px, mm, position } = page
-    const { xywh, rotation, width: pxWidth, height: pxHeight } = px
-    const { width: mmWidth, height: mmHeight } = mm
-    
-    // Determine if this is a verso (left) or recto (right) page
-    const isVerso = position.includes('verso')
-    
-    // Calculate scale factor from pixels to millimeters
-    // The mm dimensions refer to the page content (after rotation, inside xywh)
-    // We need to figure out the mm dimensions of the full image
-    const pageWidthPx = xywh.w
-    const pageHeightPx = xywh.h
-    
-    // Scale factor: mm per pixel (using the page dimensions as reference)
-    const mmPerPx = mmWidth / pageWidthPx
-    
-    // Full image dimensions in mm
-    const fullImageWidthMm = pxWidth * mmPerPx
-    const fullImageHeightMm = pxHeight * mmPerPx
-    
-    // Center of xywh rect in pixels (relative to full image)
-    const xywhCenterPxX = xywh.x + xywh.w / 2
-    const xywhCenterPxY = xywh.y + xywh.h / 2
-    
-    // Center of xywh rect in mm (relative to full image origin)
-    const xywhCenterMmX = xywhCenterPxX * mmPerPx
-    const xywhCenterMmY = xywhCenterPxY * mmPerPx
-    
-    // The page content (mm dimensions) is centered within the xywh rect after rotation
-    // Position the page so its inner edge aligns at x=0
-    let pageTargetX
-    if (isVerso) {
-      // Verso page: right edge at x=0, so position at negative x
-      pageTargetX = -mmWidth
-    } else {
-      // Recto page: left edge at x=0
-      pageTargetX = 0
-    }
-    
-    // Page top edge at y=0
-    const pageTargetY = 0
-    
-    // The page center in our target coordinate space
-    const pageCenterX = pageTargetX + mmWidth / 2
-    const pageCenterY = pageTargetY + mmHeight / 2
-    
-    // Now work backwards: the xywh center is where the page center is
-    // (since page is centered in xywh rect after rotation)
-    // The full image's origin needs to be positioned such that its xywh center
-    // ends up at pageCenterX, pageCenterY
-    
-    const imageX = pageCenterX - xywhCenterMmX
-    const imageY = pageCenterY - xywhCenterMmY
-    
-    // Build IIIF image URL
-    const baseUrl = target.replace(/\.(jpg|tif|tiff)$/i, '')
-    const tileSource = baseUrl + '/info.json'
-    
-    return {
-      tileSource,
-      x: imageX,
-      y: imageY,
-      width: fullImageWidthMm,
-      degrees: -rotation // Negate rotation to match coordinate system
-    }
+    // Page top edge at y=0 (below the spreads above it when scrolling)
+    const top = this.scrollOffsets?.get(page) ?? 0
+    return pagePlacement(page, this.isVersoSlot(page) ? 'verso' : 'recto', top)
   }
 
   /**
    * Create OpenSeadragon viewer instance
    */
   createViewer() {
-    const viewerEl = document.getElementById('openseadragon-viewer')
+    if (this.destroyed) return
+
+    const viewerEl = this.byId('openseadragon-viewer')
     if (!viewerEl) return
 
     // Clean up existing viewer first
     this.cleanupViewer()
+    this.viewerListeners = new AbortController()
 
     const pages = this.pagesToLoad || []
 
@@ -511,50 +1047,37 @@ export class VideFacsRouter {
     const currentPageIndices = pages.map(p =>
       this.currentPages.indexOf(p) + 1
     )
+    this.leaveSourceOutside(currentPageIndices)
+    this.syncLayoutWithPages(currentPageIndices)
+
+    // Lay out the shown spread, or all spreads stacked when scrolling continuously
+    const worldPages = this.scrollMode ? this.layoutScrollWorld() : pages
+    if (!this.scrollMode) this.scrollOffsets = null
 
     // Calculate total bounds for our coordinate space
     // We need to know the extent of all pages to set up the world properly
-    let minX = Infinity
-    let maxX = -Infinity
-    let minY = Infinity
-    let maxY = -Infinity
-    
-    pages.forEach(page => {
-      const config = this.calculatePagePosition(page)
-      // Image bounds in our coordinate space
-      const imgMinX = config.x
-      const imgMaxX = config.x + config.width
-      const imgMinY = config.y
-      const imgMaxY = config.y + (config.width * (page.px.height / page.px.width)) // maintain aspect ratio
-      
-      minX = Math.min(minX, imgMinX)
-      maxX = Math.max(maxX, imgMaxX)
-      minY = Math.min(minY, imgMinY)
-      maxY = Math.max(maxY, imgMaxY)
-    })
-    
-    // Add some padding
-    const padding = 50 // 50mm padding
-    minX -= padding
-    maxX += padding
-    minY -= padding
-    maxY += padding
-
-    // Store bounds for later use
-    const worldBounds = new OpenSeadragon.Rect(minX, minY, maxX - minX, maxY - minY)
+    const worldBounds = this.getPagesBounds(worldPages)
     
     // Initialize viewer with empty world (we'll add images programmatically)
     this.viewer = OpenSeadragon({
-      id: 'openseadragon-viewer',
-      prefixUrl: '/vide-component-facsimile/dist/vendor/openseadragon/images/',
+      // Pass the element itself, an id lookup would not reach into the shadow root
+      element: viewerEl,
+      prefixUrl: `${this.config.vendorPath}images/`,
       showNavigationControl: false,
       showFullPageControl: false,
       sequenceMode: false,
       // Use our mm coordinate space
       homeFillsViewer: false,
-      visibilityRatio: 0.1,
+      // Spreads further down are only added when approached, so allow scrolling past the loaded ones
+      visibilityRatio: this.scrollMode ? 0 : 0.1,
       constrainDuringPan: false,
       showRotationControl: true,
+      // Tiles are adjusted on a 2D canvas, which needs their pixels (see setupEnhancement)
+      drawer: 'canvas',
+      crossOriginPolicy: 'Anonymous',
+      gestureSettingsMouse: {
+        scrollToZoom: !this.scrollMode
+      },
       gestureSettingsTouch: {
         pinchRotate: true
       },
@@ -572,49 +1095,44 @@ export class VideFacsRouter {
     })
 
     // Store pages and world bounds for later use (e.g., toggling margins)
-    this.currentlyDisplayedPages = pages
+    this.currentlyDisplayedPages = worldPages
     this.currentWorldBounds = worldBounds
+    this.tiledImages = new Map()
+
+    // Select writing zones by clicking on the facsimile
+    this.setupZoneHitTesting()
+    this.setupMeasuring()
+    this.setupEnhancement()
+
+    // Keep the scale bar in step with the zoom
+    const updateScaleBar = () => this.updateScaleBar()
+    this.viewer.addHandler('viewport-change', updateScaleBar)
+    this.viewer.addHandler('resize', updateScaleBar)
+
+    // A linked comparison pane follows the main viewer (unless the pane leads)
+    this.viewer.addHandler('viewport-change', () => {
+      if (this.compare?.linked && this.comparePane?.leader === 'main') this.comparePane.follow()
+    })
 
     // Add each page with calculated positioning
-    pages.forEach((page, index) => {
-      const pageConfig = this.calculatePagePosition(page)
-      
-      this.viewer.addTiledImage({
-        tileSource: pageConfig.tileSource,
-        x: pageConfig.x,
-        y: pageConfig.y,
-        width: pageConfig.width,
-        degrees: pageConfig.degrees,
-        success: (event) => {
-          console.log(`Page ${index + 1} loaded successfully`)
-          
-          // After all pages are loaded, fit viewport to show both pages
-          if (index === pages.length - 1) {
-            // Fit to our calculated world bounds
-            this.viewer.viewport.fitBounds(worldBounds, true)
-            
-            // Calculate appropriate zoom constraints based on world size
-            // Min zoom: fit entire world with padding
-            const minZoom = this.viewer.viewport.getZoom() * 0.5
-            // Max zoom: allow zooming in to ~1:1 pixel ratio (1mm = multiple screen pixels)
-            const maxZoom = this.viewer.viewport.getZoom() * 20
-            
-            this.viewer.viewport.minZoomLevel = minZoom
-            this.viewer.viewport.maxZoomLevel = maxZoom
-            
-            // Re-fit after setting constraints
-            this.viewer.viewport.fitBounds(worldBounds, true)
-          }
-        },
-        error: (event) => {
-          console.error(`Error loading page ${index + 1}:`, event)
-        }
+    const spreadToken = ++this.spreadToken
+    if (this.scrollMode) {
+      this.setupScrolling(pages, spreadToken)
+    } else {
+      pages.forEach((page, index) => {
+        // After all pages are loaded, fit viewport to show both pages
+        const onLoad = index === pages.length - 1 ? () => this.fitLoadedPages(worldBounds) : null
+        this.addPageImage(page, spreadToken, onLoad)
       })
-    })
+    }
 
     // Store current page indices for navigation
     this.currentPageIndices = currentPageIndices
 
+    // Draw writing zone outlines and measurements on top of the pages
+    this.drawZoneOverlays()
+    this.drawMeasurements()
+
     // Setup page navigation
     this.setupPageNavigation(currentPageIndices, totalPages)
 
@@ -629,91 +1147,290 @@ export class VideFacsRouter {
 
     // Setup writing zones list
     this.setupWritingZones(currentPageIndices)
+
+    // Second viewer beside this one
+    this.syncComparePane()
+
+    this.emitPageChange()
+    this.emitZoneChange()
   }
 
   /**
-   * Switch to different pages without recreating the viewer
-   * @param {string} pageSpec - Page specification ('2' or '2-3')
-   * @param {string|null} zoneLabel - Zone label to highlight
-   * @param {number|null} zonePageIndex - Page index for the zone
+   * Get the extent of page images in world (mm) coordinates
+   * @param {Array} pages - Page objects
+   * @param {number} padding - Margin added on every side, in mm
+   * @returns {OpenSeadragon.Rect}
    */
-  switchPages(pageSpec, zoneLabel = null, zonePageIndex = null) {
-    if (!this.viewer || !this.currentPages) return
+  getPagesBounds(pages, padding = 50) {
+    const { x, y, width, height } = pagesBounds(pages, page => this.calculatePagePosition(page), padding)
+    return new OpenSeadragon.Rect(x, y, width, height)
+  }
 
-    // Parse new pages
-    const pages = this.parsePageSpec(pageSpec)
-    if (pages.length === 0) return
+  /**
+   * Add the image of a page to the world at its calculated position
+   * @param {Object} page - Page object from edition.json
+   * @param {number} spreadToken - Value of spreadToken the image belongs to
+   * @param {Function} [onLoad] - Called with the TiledImage once it has been added
+   */
+  addPageImage(page, spreadToken, onLoad = null) {
+    const pageConfig = this.calculatePagePosition(page)
+    const pageIndex = this.currentPages.indexOf(page) + 1
+
+    this.viewer.addTiledImage({
+      tileSource: pageConfig.tileSource,
+      x: pageConfig.x,
+      y: pageConfig.y,
+      width: pageConfig.width,
+      degrees: pageConfig.degrees,
+      success: (event) => {
+        if (this.isStaleTiledImage(spreadToken, event.item)) return
+        this.tiledImages.set(page, event.item)
+        if (this.clipMargins) {
+          event.item.setClip(this.calculateClipRect(page, true))
+        }
+        if (onLoad) onLoad(event.item)
+      },
+      error: (event) => {
+        if (spreadToken !== this.spreadToken) return
+        console.error(`Error loading page ${pageIndex}:`, event)
+      }
+    })
+  }
 
-    const currentPageIndices = pages.map(p => this.currentPages.indexOf(p) + 1)
-    const totalPages = this.currentPages.length
+  /**
+   * Fit the viewport to newly loaded pages and derive the zoom limits from it
+   * Deep links to a zone show the zone rather than the whole spread.
+   * @param {OpenSeadragon.Rect} bounds - Bounds of the shown spread
+   */
+  fitLoadedPages(bounds) {
+    const viewport = this.viewer.viewport
+    viewport.fitBounds(bounds, true)
 
-    // Remove all existing tiled images
-    while (this.viewer.world.getItemCount() > 0) {
-      this.viewer.world.removeItem(this.viewer.world.getItemAt(0))
-    }
+    // Calculate appropriate zoom constraints based on the spread size
+    // Min zoom: a little more than the spread (an overview of several when scrolling)
+    viewport.minZoomLevel = viewport.getZoom() * (this.scrollMode ? 0.1 : 0.5)
+    // Max zoom: allow zooming in to ~1:1 pixel ratio (1mm = multiple screen pixels)
+    viewport.maxZoomLevel = viewport.getZoom() * 20
 
-    // Calculate world bounds for new pages
-    let minX = Infinity
-    let maxX = -Infinity
-    let minY = Infinity
-    let maxY = -Infinity
-    
-    pages.forEach(page => {
-      const config = this.calculatePagePosition(page)
-      const imgMinX = config.x
-      const imgMaxX = config.x + config.width
-      const imgMinY = config.y
-      const imgMaxY = config.y + (config.width * (page.px.height / page.px.width))
-      
-      minX = Math.min(minX, imgMinX)
-      maxX = Math.max(maxX, imgMaxX)
-      minY = Math.min(minY, imgMinY)
-      maxY = Math.max(maxY, imgMaxY)
+    // Re-fit after setting constraints
+    viewport.fitBounds(bounds, true)
+
+    this.fitActiveZone()
+  }
+
+  /**
+   * Stack the displayed spreads vertically for continuous scrolling
+   * Sets scrollOffsets (page -> vertical offset in mm) and scrollRows
+   * ({ spread, top, bottom } image extent of each spread in mm).
+   * @returns {Array} All displayed pages
+   */
+  layoutScrollWorld() {
+    this.scrollOffsets = new Map()
+    this.scrollRows = []
+    this.scrollSingle = this.isSingleLayout()
+    this.scrollSource = this.source
+
+    let top = 0
+    this.getDisplaySpreads().forEach(spread => {
+      const pages = spread.map(pageIndex => this.currentPages[pageIndex - 1]).filter(p => p)
+      if (pages.length === 0) return
+
+      // Extent without offset, so the scan margins of neighbouring spreads don't overlap
+      const bounds = this.getPagesBounds(pages, 0)
+      pages.forEach(page => this.scrollOffsets.set(page, top - bounds.y))
+      this.scrollRows.push({ spread, top, bottom: top + bounds.height })
+      top += bounds.height + SCROLL_GAP
     })
-    
-    const padding = 50
-    minX -= padding
-    maxX += padding
-    minY -= padding
-    maxY += padding
 
-    const worldBounds = new OpenSeadragon.Rect(minX, minY, maxX - minX, maxY - minY)
-    this.currentWorldBounds = worldBounds
-    this.currentlyDisplayedPages = pages
+    return this.scrollRows.flatMap(row => row.spread.map(pageIndex => this.currentPages[pageIndex - 1]))
+  }
 
-    // Add new pages
-    pages.forEach((page, index) => {
-      const pageConfig = this.calculatePagePosition(page)
-      
-      this.viewer.addTiledImage({
-        tileSource: pageConfig.tileSource,
-        x: pageConfig.x,
-        y: pageConfig.y,
-        width: pageConfig.width,
-        degrees: pageConfig.degrees,
-        success: (event) => {
-          // After last page is loaded, fit viewport
-          if (index === pages.length - 1) {
-            this.viewer.viewport.fitBounds(worldBounds, true)
-            
-            const minZoom = this.viewer.viewport.getZoom() * 0.5
-            const maxZoom = this.viewer.viewport.getZoom() * 20
-            
-            this.viewer.viewport.minZoomLevel = minZoom
-            this.viewer.viewport.maxZoomLevel = maxZoom
-            
-            this.viewer.viewport.fitBounds(worldBounds, true)
-          }
-        },
-        error: (event) => {
-          console.error(`Error loading page ${index + 1}:`, event)
-        }
+  /**
+   * Whether the stacked spreads no longer match the layout or source (see layoutScrollWorld)
+   * @returns {boolean}
+   */
+  scrollWorldChanged() {
+    return this.scrollSingle !== this.isSingleLayout() || this.scrollSource !== this.source
+  }
+
+  /**
+   * Continuous scroll mode: show the current spread within the stacked world,
+   * add the images of other spreads as they approach the viewport and follow
+   * the scroll position with the current page, URL and thumbnails
+   * @param {Array} pages - Page objects of the current spread
+   * @param {number} spreadToken - Value of spreadToken for the images
+   */
+  setupScrolling(pages, spreadToken) {
+    const viewport = this.viewer.viewport
+    this.requestedPages = new Set(pages)
+
+    pages.forEach((page, index) => {
+      const onLoad = index === pages.length - 1 ? () => {
+        this.fitLoadedPages(this.getPagesBounds(pages))
+        this.loadNearbySpreads(spreadToken)
+      } : null
+      this.addPageImage(page, spreadToken, onLoad)
+    })
+
+    // The mouse wheel scrolls through the notebook, with Ctrl (or a pinch) it zooms
+    this.viewer.addHandler('canvas-scroll', (event) => {
+      event.preventDefault = true
+      if (event.originalEvent?.ctrlKey) {
+        const factor = event.scroll > 0 ? 1.2 : 1 / 1.2
+        viewport.zoomBy(factor, viewport.pointFromPixel(event.position))
+      } else {
+        const bounds = viewport.getBounds()
+        viewport.panBy(new OpenSeadragon.Point(0, -event.scroll * bounds.height * 0.2))
+      }
+      viewport.applyConstraints()
+    })
+
+    this.viewer.addHandler('viewport-change', () => {
+      if (this.tiledImages.size > 0) this.loadNearbySpreads(spreadToken)
+    })
+    this.viewer.addHandler('animation-finish', () => {
+      if (this.tiledImages.size > 0) this.updateScrollPosition()
+    })
+  }
+
+  /**
+   * Add the images of spreads within a viewport height above or below the view
+   * @param {number} spreadToken - Value of spreadToken for the images
+   */
+  loadNearbySpreads(spreadToken) {
+    if (!this.viewer || !this.scrollRows) return
+
+    const bounds = this.viewer.viewport.getBounds()
+    const top = bounds.y - bounds.height
+    const bottom = bounds.y + bounds.height * 2
+
+    this.scrollRows.forEach(row => {
+      if (row.bottom < top || row.top > bottom) return
+      row.spread.forEach(pageIndex => {
+        const page = this.currentPages[pageIndex - 1]
+        if (!page || this.requestedPages.has(page)) return
+        this.requestedPages.add(page)
+        this.addPageImage(page, spreadToken)
       })
     })
+  }
+
+  /**
+   * Make the spread at the center of the viewport the current one
+   * Updates page info, thumbnails and zones list, and replaces the URL so that
+   * scrolling does not add a history entry per spread.
+   */
+  updateScrollPosition() {
+    if (!this.viewer || !this.scrollRows) return
+
+    const bounds = this.viewer.viewport.getBounds()
+    const center = bounds.y + bounds.height / 2
+
+    // Spread under the center, or the nearest one when the center is in a gap
+    let current = null
+    let distance = Infinity
+    this.scrollRows.forEach(row => {
+      const rowDistance = Math.max(row.top - center, center - row.bottom, 0)
+      if (rowDistance < distance) {
+        distance = rowDistance
+        current = row
+      }
+    })
+
+    const pageSpec = current ? spreadSpec(current.spread) : null
+    if (!pageSpec || pageSpec === this.currentPageSpec) return
+
+    this.currentPageSpec = pageSpec
+    this.currentPageIndices = [...current.spread]
+
+    // A selected zone stays selected while its spread is shown
+    if (!current.spread.includes(this.currentZonePageIndex)) {
+      this.currentZoneLabel = null
+      this.currentZonePageIndex = null
+      this.updateZoneOverlayStates()
+    }
+
+    this.setupPageNavigation(this.currentPageIndices, this.currentPages.length)
+    this.setupPagePreviews(this.currentPageIndices)
+    this.emitPageChange()
+    this.emitZoneChange()
+
+    // Routing the unchanged spread only refreshes the zones list
+    this.navigate(this.getPagePath(pageSpec, this.currentZonePageIndex, this.currentZoneLabel), { replace: true })
+  }
+
+  /**
+   * Check whether a loaded tiled image belongs to a spread no longer shown,
+   * and remove it from the world if so
+   * @param {number} spreadToken - Value of spreadToken when the image was requested
+   * @param {Object} tiledImage - OpenSeadragon TiledImage
+   * @returns {boolean} Whether the image was stale
+   */
+  isStaleTiledImage(spreadToken, tiledImage) {
+    if (spreadToken === this.spreadToken) return false
+    if (this.viewer && tiledImage) {
+      this.viewer.world.removeItem(tiledImage)
+    }
+    return true
+  }
+
+  /**
+   * Switch to different pages without recreating the viewer
+   * @param {string} pageSpec - Page specification ('2' or '2-3')
+   * @param {string|null} zoneLabel - Zone label to highlight
+   * @param {number|null} zonePageIndex - Page index for the zone
+   */
+  switchPages(pageSpec, zoneLabel = null, zonePageIndex = null) {
+    if (!this.viewer || !this.currentPages) return
+
+    // Parse new pages
+    const pages = this.parsePageSpec(pageSpec)
+    if (pages.length === 0) return
+
+    const currentPageIndices = pages.map(p => this.currentPages.indexOf(p) + 1)
+    const totalPages = this.currentPages.length
+    this.leaveSourceOutside(currentPageIndices)
+    this.syncLayoutWithPages(currentPageIndices)
+
+    // When scrolling, all spreads are in the world already: move there instead
+    if (this.scrollMode && this.scrollWorldChanged()) {
+      this.rebuildViewer()
+      return
+    }
 
     // Update stored indices
     this.currentPageIndices = currentPageIndices
 
+    if (this.scrollMode) {
+      if (!this.fitActiveZone()) {
+        this.viewer.viewport.fitBounds(this.getPagesBounds(pages))
+      }
+      this.updateZoneOverlayStates()
+    } else {
+      // Remove all existing tiled images
+      while (this.viewer.world.getItemCount() > 0) {
+        this.viewer.world.removeItem(this.viewer.world.getItemAt(0))
+      }
+      this.tiledImages = new Map()
+
+      // Calculate world bounds for new pages
+      const worldBounds = this.getPagesBounds(pages)
+      this.currentWorldBounds = worldBounds
+      this.currentlyDisplayedPages = pages
+
+      // Add new pages (images of a previous spread still loading are discarded)
+      const spreadToken = ++this.spreadToken
+      pages.forEach((page, index) => {
+        // After last page is loaded, fit viewport
+        const onLoad = index === pages.length - 1 ? () => this.fitLoadedPages(worldBounds) : null
+        this.addPageImage(page, spreadToken, onLoad)
+      })
+
+      // Redraw writing zone outlines and measurements for the new pages
+      this.drawZoneOverlays()
+      this.drawMeasurements()
+    }
+
     // Update UI components
     this.setupPageNavigation(currentPageIndices, totalPages)
     this.setupPagePreviews(currentPageIndices)
@@ -723,70 +1440,45 @@ export class VideFacsRouter {
     if (zoneLabel && zonePageIndex) {
       this.updateActiveZone(zoneLabel, zonePageIndex)
     }
+
+    this.emitPageChange()
+    this.emitZoneChange()
   }
 
   /**
    * Setup page navigation controls
    */
   setupPageNavigation(currentPages, totalPages) {
-    const prevBtn = document.getElementById('prev-page')
-    const nextBtn = document.getElementById('next-page')
-    const pageInfo = document.getElementById('page-info')
+    const prevBtn = this.byId('prev-page')
+    const nextBtn = this.byId('next-page')
+    const pageInfo = this.byId('page-info')
 
     if (!prevBtn || !nextBtn || !pageInfo) return
 
-    // Update page info display
-    if (currentPages.length === 2) {
-      pageInfo.textContent = `Seiten ${currentPages[0]}-${currentPages[1]} von ${totalPages}`
+    // Update page info display (the position within a source paged through)
+    const sourcePosition = this.getSourcePosition(currentPages[0])
+    if (sourcePosition) {
+      pageInfo.textContent = this.t('source.info', sourcePosition)
+    } else if (currentPages.length === 2) {
+      pageInfo.textContent = this.t('page.infoPair', { first: currentPages[0], second: currentPages[1], total: totalPages })
     } else {
-      pageInfo.textContent = `Seite ${currentPages[0]} von ${totalPages}`
+      pageInfo.textContent = this.t('page.info', { page: currentPages[0], total: totalPages })
     }
 
-    // Determine previous/next page specs
-    let prevPageSpec = null
-    let nextPageSpec = null
-
-    if (currentPages.length === 2) {
-      // Double page mode
-      const leftPage = currentPages[0]
-      const rightPage = currentPages[1]
-
-      if (leftPage > 2) {
-        prevPageSpec = `${leftPage - 2}-${leftPage - 1}`
-      } else if (leftPage === 2) {
-        prevPageSpec = '1'
-      }
-
-      if (rightPage < totalPages - 1) {
-        nextPageSpec = `${rightPage + 1}-${rightPage + 2}`
-      } else if (rightPage === totalPages - 1) {
-        nextPageSpec = `${totalPages}`
-      }
-    } else {
-      // Single page mode
-      const page = currentPages[0]
-
-      if (page > 1) {
-        prevPageSpec = `${page - 1}`
-      }
-
-      if (page < totalPages) {
-        nextPageSpec = `${page + 1}`
-      }
-    }
+    // Previous/next spreads of the one containing the first shown page
+    const spreads = this.getDisplaySpreads()
+    const spreadIndex = spreads.findIndex(spread => spread.includes(currentPages[0]))
+    const prevPageSpec = spreadIndex > 0 ? spreadSpec(spreads[spreadIndex - 1]) : null
+    const nextPageSpec = spreadIndex !== -1 && spreadIndex < spreads.length - 1
+      ? spreadSpec(spreads[spreadIndex + 1])
+      : null
 
     // Setup button states and handlers
-    const manifestId = this.getCurrentManifestId()
-    const filterSpec = this.getFilterSpec()
-
+    // Paths are built on click so they carry the filters applied in the meantime
     if (prevPageSpec) {
       prevBtn.disabled = false
       prevBtn.onclick = () => {
-        let path = `${this.basePath}/${manifestId}/p${prevPageSpec}/`
-        if (filterSpec) {
-          path += `filter:${filterSpec}/`
-        }
-        this.navigate(path)
+        this.navigate(this.getPagePath(prevPageSpec))
       }
     } else {
       prevBtn.disabled = true
@@ -795,15 +1487,13 @@ export class VideFacsRouter {
     if (nextPageSpec) {
       nextBtn.disabled = false
       nextBtn.onclick = () => {
-        let path = `${this.basePath}/${manifestId}/p${nextPageSpec}/`
-        if (filterSpec) {
-          path += `filter:${filterSpec}/`
-        }
-        this.navigate(path)
+        this.navigate(this.getPagePath(nextPageSpec))
       }
     } else {
       nextBtn.disabled = true
     }
+
+    this.updateSourceBanner(currentPages[0])
   }
 
   /**
@@ -812,7 +1502,7 @@ export class VideFacsRouter {
   getCurrentManifestId() {
     const path = this.getCurrentPath()
     const segments = path.split('/').filter(s => s)
-    return segments.length > 0 ? segments[0] : 'NK'
+    return segments.length > 0 ? segments[0] : this.config.defaultEdition
   }
 
   /**
@@ -837,119 +1527,69 @@ export class VideFacsRouter {
    * @param {Array} currentPages - Array of current page numbers
    */
   setupPagePreviews(currentPages = [1]) {
-    const container = document.getElementById('page-preview-container')
-    const panel = document.getElementById('page-preview-panel')
-    const toggleBtn = document.getElementById('toggle-preview')
+    const container = this.byId('page-preview-container')
+    const panel = this.byId('page-preview-panel')
+    const toggleBtn = this.byId('toggle-preview')
 
     if (!container || !this.currentPages) return
 
+    // The panel survives page switches, so drop the listeners of the previous call
+    this.previewListeners?.abort()
+    this.previewListeners = new AbortController()
+    const { signal } = this.previewListeners
+
     const pages = this.currentPages
-    const manifestId = this.getCurrentManifestId()
     const sourceLabel = this.currentEdition?.source?.label || ''
 
     // Clear existing thumbnails
     container.innerHTML = ''
 
-    // Generate thumbnail groups: first page alone, then pairs
-    let i = 0
-    while (i < pages.length) {
+    // Generate a thumbnail group per displayed spread
+    const spreads = this.getDisplaySpreads()
+    spreads.forEach(spread => {
       const groupDiv = document.createElement('div')
       groupDiv.classList.add('page-thumbnail-group')
 
-      if (i === 0) {
-        // First page alone
-        const pageNum = 1
-        const isActive = currentPages.includes(1)
-        const thumbnail = this.getIIIFThumbnail(pages[0])
-
+      spread.forEach(pageNum => {
         const img = document.createElement('img')
-        img.src = thumbnail
-        img.alt = `Seite ${pageNum}`
+        img.src = this.getIIIFThumbnail(pages[pageNum - 1])
+        img.alt = this.t('page.label', { page: pageNum })
         img.crossOrigin = 'anonymous'
-
-        const label = document.createElement('div')
-        label.className = 'page-label'
-        label.textContent = sourceLabel ? `${sourceLabel} 1` : '1'
-
         groupDiv.appendChild(img)
-        groupDiv.appendChild(label)
-        groupDiv.dataset.pages = '1'
-        groupDiv.dataset.pageCount = 'single'
-
-        // Mark as active if showing this page
-        if (isActive) {
-          groupDiv.classList.add('active')
-        }
-
-        // Click handler
-        groupDiv.addEventListener('click', () => {
-          this.navigate(`${this.basePath}/${manifestId}/p1/`)
-        })
+      })
 
-        i++
+      const pageSpec = spreadSpec(spread)
+      const label = document.createElement('div')
+      label.className = 'page-label'
+      if (this.source) {
+        // Pages of a source go by the source's own labels
+        label.textContent = pages[spread[0] - 1].surfaceLabel || pageSpec
       } else {
-        // Pair of pages (verso + recto)
-        const leftPage = i + 1
-        const rightPage = i + 2
-        const isActive = currentPages.includes(leftPage) || (pages[i + 1] && currentPages.includes(rightPage))
-
-        if (pages[i]) {
-          const leftThumb = this.getIIIFThumbnail(pages[i])
-          const leftImg = document.createElement('img')
-          leftImg.src = leftThumb
-          leftImg.alt = `Seite ${leftPage}`
-          leftImg.crossOrigin = 'anonymous'
-          groupDiv.appendChild(leftImg)
-        }
-
-        if (pages[i + 1]) {
-          const rightThumb = this.getIIIFThumbnail(pages[i + 1])
-          const rightImg = document.createElement('img')
-          rightImg.src = rightThumb
-          rightImg.alt = `Seite ${rightPage}`
-          rightImg.crossOrigin = 'anonymous'
-          groupDiv.appendChild(rightImg)
-        }
-
-        const label = document.createElement('div')
-        label.className = 'page-label'
-        if (pages[i + 1]) {
-          const labelText = sourceLabel ? `${sourceLabel} ${leftPage}-${rightPage}` : `${leftPage}-${rightPage}`
-          label.textContent = labelText
-          groupDiv.dataset.pages = `${leftPage}-${rightPage}`
-          groupDiv.dataset.pageCount = 'double'
-        } else {
-          const labelText = sourceLabel ? `${sourceLabel} ${leftPage}` : `${leftPage}`
-          label.textContent = labelText
-          groupDiv.dataset.pages = `${leftPage}`
-          groupDiv.dataset.pageCount = 'single'
-        }
-
-        groupDiv.appendChild(label)
-
-        // Mark as active if showing these pages
-        if (isActive) {
-          groupDiv.classList.add('active')
-        }
-
-        // Click handler
-        groupDiv.addEventListener('click', () => {
-          const pageSpec = groupDiv.dataset.pages
-          this.navigate(`${this.basePath}/${manifestId}/p${pageSpec}/`)
-        })
+        label.textContent = sourceLabel ? `${sourceLabel} ${pageSpec}` : pageSpec
+      }
+      groupDiv.appendChild(label)
+      groupDiv.dataset.pages = pageSpec
+      groupDiv.dataset.pageCount = spread.length === 2 ? 'double' : 'single'
 
-        i += 2
+      // Mark as active if showing these pages
+      if (spread.some(pageNum => currentPages.includes(pageNum))) {
+        groupDiv.classList.add('active')
       }
 
+      // Click handler
+      groupDiv.addEventListener('click', () => {
+        this.navigate(this.getPagePath(pageSpec))
+      })
+
       container.appendChild(groupDiv)
-    }
+    })
 
     // Toggle panel visibility
     if (toggleBtn) {
       toggleBtn.addEventListener('click', () => {
         panel.classList.toggle('collapsed')
         toggleBtn.textContent = panel.classList.contains('collapsed') ? '▼' : '▲'
-      })
+      }, { signal })
     }
 
     // Prevent swipe-to-navigate-back when scrolling horizontally at the left edge
@@ -960,7 +1600,7 @@ export class VideFacsRouter {
       panel.addEventListener('touchstart', (e) => {
         startX = e.touches[0].pageX
         scrollLeft = panel.scrollLeft
-      }, { passive: true })
+      }, { passive: true, signal })
 
       panel.addEventListener('wheel', (e) => {
         // If scrolling horizontally and not at left edge, prevent default navigation
@@ -971,7 +1611,7 @@ export class VideFacsRouter {
         if (panel.scrollLeft === 0 && e.deltaX < 0) {
           e.preventDefault()
         }
-      }, { passive: false })
+      }, { passive: false, signal })
 
       panel.addEventListener('touchmove', (e) => {
         const currentX = e.touches[0].pageX
@@ -981,7 +1621,7 @@ export class VideFacsRouter {
         if (diff < 0 || scrollLeft > 0) {
           e.stopPropagation()
         }
-      }, { passive: true })
+      }, { passive: true, signal })
     }
 
     // Scroll active thumbnail into view
@@ -997,12 +1637,12 @@ export class VideFacsRouter {
    * Setup side panel with tabs and panel switching
    */
   setupSidePanel() {
-    const sidePanel = document.getElementById('side-panel')
-    const tabs = document.querySelectorAll('.side-panel-tab')
-    const sections = document.querySelectorAll('.panel-section')
-    const panelContent = document.getElementById('side-panel-content')
-    const showFilterBtn = document.getElementById('show-filter-btn')
-    const applyFilterBtn = document.getElementById('apply-filter-btn')
+    const sidePanel = this.byId('side-panel')
+    const tabs = this.root.querySelectorAll('.side-panel-tab')
+    const sections = this.root.querySelectorAll('.panel-section')
+    const panelContent = this.byId('side-panel-content')
+    const showFilterBtn = this.byId('show-filter-btn')
+    const applyFilterBtn = this.byId('apply-filter-btn')
 
     if (!sidePanel || !tabs.length) return
 
@@ -1010,30 +1650,43 @@ export class VideFacsRouter {
     if (showFilterBtn) {
       showFilterBtn.addEventListener('click', () => {
         sections.forEach(s => s.classList.remove('active'))
-        document.querySelector('.panel-section[data-panel="filter"]').classList.add('active')
+        this.root.querySelector('.panel-section[data-panel="filter"]').classList.add('active')
       })
     }
 
+    const filterPanel = this.root.querySelector('.panel-section[data-panel="filter"]')
+
     // Switch back to zones panel (apply filters)
     if (applyFilterBtn) {
       applyFilterBtn.addEventListener('click', () => {
+        this.applyFilters(readFilterForm(filterPanel))
         sections.forEach(s => s.classList.remove('active'))
-        document.querySelector('.panel-section[data-panel="zones"]').classList.add('active')
+        this.root.querySelector('.panel-section[data-panel="zones"]').classList.add('active')
+      })
+    }
+
+    // Reset button - clear all facets
+    const resetFilterBtn = this.byId('reset-filter-btn')
+    if (resetFilterBtn) {
+      resetFilterBtn.addEventListener('click', () => {
+        writeFilterForm(filterPanel, emptyFilters())
       })
     }
 
     // Cancel button - switch back without applying filters
-    const cancelFilterBtn = document.getElementById('cancel-filter-btn')
+    const cancelFilterBtn = this.byId('cancel-filter-btn')
     if (cancelFilterBtn) {
       cancelFilterBtn.addEventListener('click', () => {
+        // Restore the checkboxes to the applied state
+        writeFilterForm(filterPanel, this.filters)
         sections.forEach(s => s.classList.remove('active'))
-        document.querySelector('.panel-section[data-panel="zones"]').classList.add('active')
+        this.root.querySelector('.panel-section[data-panel="zones"]').classList.add('active')
       })
     }
 
     // Forward pointer and wheel events to OSD viewer if not handled by a child
     if (panelContent) {
-      const osdViewer = document.getElementById('openseadragon-viewer')
+      const osdViewer = this.byId('openseadragon-viewer')
       const forwardEvent = (event) => {
         // Only forward if event target is panelContent itself (not a child)
         if (event.target === panelContent && osdViewer) {
@@ -1069,7 +1722,7 @@ export class VideFacsRouter {
 
           // Update active section
           sections.forEach(s => s.classList.remove('active'))
-          const activeSection = document.querySelector(`.panel-section[data-panel="${panelName}"]`)
+          const activeSection = this.root.querySelector(`.panel-section[data-panel="${panelName}"]`)
           if (activeSection) {
             activeSection.classList.add('active')
           }
@@ -1085,7 +1738,13 @@ export class VideFacsRouter {
    * Setup filter controls and state
    */
   setupFilters() {
-    const restrictCheckbox = document.getElementById('restrict-to-current-page')
+    // Reflect the applied facets in the filter panel
+    const filterPanel = this.root.querySelector('.panel-section[data-panel="filter"]')
+    if (filterPanel) {
+      writeFilterForm(filterPanel, this.filters)
+    }
+
+    const restrictCheckbox = this.byId('restrict-to-current-page')
     if (restrictCheckbox) {
       // Initialize state from URL or default
       if (this.restrictToCurrentPage !== undefined) {
@@ -1110,24 +1769,64 @@ export class VideFacsRouter {
     }
   }
 
+  /**
+   * Apply facet filters to the zones list and viewer outlines
+   * @param {Object} filters - Filter state (see filters.js)
+   */
+  applyFilters(filters) {
+    this.filters = filters
+    this.hasExplicitFilter = true
+
+    // Update URL to reflect filter change
+    this.updateUrlWithFilters()
+
+    if (this.currentPageIndices && this.currentPageIndices.length > 0) {
+      this.setupWritingZones(this.currentPageIndices)
+    }
+    this.updateWritingZoneLinks()
+    this.emitFilterChange()
+  }
+
+  /**
+   * Get the zones of a page that match the current filters, sorted by label
+   * @param {Object} page - Page object
+   * @returns {Array} Writing zones
+   */
+  getFilteredZones(page) {
+    if (!page || !page.writingZones) return []
+
+    // Sort zones by label (numeric sort)
+    return page.writingZones
+      .filter(zone => zoneMatchesFilters(zone, this.filters))
+      .sort((a, b) => {
+        const aNum = parseInt(a.label) || 0
+        const bNum = parseInt(b.label) || 0
+        return aNum - bNum
+      })
+  }
+
   /**
    * Apply filter settings from URL filter spec
-   * @param {string} filterSpec - Filter specification (e.g., "allPages")
+   * @param {string} filterSpec - Filter specification (e.g., "allPages,key=3f|2s,staves=2")
    */
   applyFiltersFromUrl(filterSpec) {
-    const filters = filterSpec.split(',')
-    
-    if (filters.includes('allPages')) {
-      this.restrictToCurrentPage = false
-    } else {
-      this.restrictToCurrentPage = true
-    }
+    const { allPages, filters } = parseFilterSpec(filterSpec)
+    this.restrictToCurrentPage = !allPages
+    this.filters = filters
     
     // Update checkbox if it exists
-    const restrictCheckbox = document.getElementById('restrict-to-current-page')
+    const restrictCheckbox = this.byId('restrict-to-current-page')
     if (restrictCheckbox) {
       restrictCheckbox.checked = this.restrictToCurrentPage
     }
+
+    // Update facet checkboxes if the filter panel exists
+    const filterPanel = this.root.querySelector('.panel-section[data-panel="filter"]')
+    if (filterPanel) {
+      writeFilterForm(filterPanel, this.filters)
+    }
+
+    this.emitFilterChange()
   }
 
   /**
@@ -1135,27 +1834,43 @@ export class VideFacsRouter {
    * @returns {string|null} Filter spec or null if using defaults
    */
   getFilterSpec() {
-    // If user has explicitly set a filter (via URL or checkbox), always include it
-    if (this.hasExplicitFilter === false) {
-      // Explicitly default state, don't include in URL
-      return null
+    return serializeFilterSpec(this.restrictToCurrentPage === false, this.filters)
+  }
+
+  /**
+   * Build the full path for a page spread, keeping the current filters
+   * @param {string} pageSpec - Page specification ('2' or '2-3')
+   * @param {number|null} zonePageIndex - Page index of a zone to select (1-based)
+   * @param {string|null} zoneLabel - Label of a zone to select
+   * @param {string|null} source - Key of the source paged through, null for the notebook
+   * @returns {string} Link target for the routing mode (see href)
+   */
+  getPagePath(pageSpec, zonePageIndex = null, zoneLabel = null, source = this.source) {
+    const filterSpec = this.getFilterSpec()
+    let path = `/${this.getCurrentManifestId()}/p${pageSpec}/`
+    const sourceSpec = serializeSourceSpec(source)
+    if (sourceSpec) {
+      path += `source:${sourceSpec}/`
     }
-    
-    const filters = []
-    
-    if (!this.restrictToCurrentPage) {
-      filters.push('allPages')
+    const enhanceSpec = serializeEnhanceSpec(this.enhancement)
+    if (enhanceSpec) {
+      path += `enhance:${enhanceSpec}/`
     }
-    
-    // If hasExplicitFilter is true but restrictToCurrentPage is true (default value),
-    // we still include it to maintain explicit state
-    if (this.hasExplicitFilter && this.restrictToCurrentPage) {
-      // Return empty string to indicate explicit default (vs null for implicit default)
-      // Actually, just don't include anything if it's the default
-      return null
+    if (filterSpec) {
+      path += `filter:${filterSpec}/`
     }
-    
-    return filters.length > 0 ? filters.join(',') : null
+    const compareSpec = serializeCompareSpec(this.compare)
+    if (compareSpec) {
+      path += `compare:${compareSpec}/`
+    }
+    const measureSpec = this.measurementsInUrl ? serializeMeasureSpec(this.measurements) : null
+    if (measureSpec) {
+      path += `measure:${measureSpec}/`
+    }
+    if (zonePageIndex && zoneLabel) {
+      path += `wz${zonePageIndex}.${zoneLabel}/`
+    }
+    return this.href(path)
   }
 
   /**
@@ -1164,43 +1879,23 @@ export class VideFacsRouter {
   updateUrlWithFilters() {
     if (!this.currentManifestId || !this.currentPageSpec) return
     
-    const manifestId = this.currentManifestId
-    const pageSpec = this.currentPageSpec
-    const filterSpec = this.getFilterSpec()
-    const zoneSpec = this.currentZoneLabel && this.currentZonePageIndex ? 
-      `wz${this.currentZonePageIndex}.${this.currentZoneLabel}` : null
-    
-    // Build URL path
-    let path = `/${manifestId}/p${pageSpec}/`
-    if (filterSpec) {
-      path += `filter:${filterSpec}/`
-    }
-    if (zoneSpec) {
-      path += `${zoneSpec}/`
-    }
-    
-    this.navigate(path)
+    this.navigate(this.getPagePath(
+      this.currentPageSpec,
+      this.currentZonePageIndex,
+      this.currentZoneLabel
+    ))
   }
 
   /**
    * Update all writingZones breadcrumb links to reflect current filter settings
    */
   updateWritingZoneLinks() {
-    const wzLinks = document.querySelectorAll('.wz-link')
-    const filterSpec = this.getFilterSpec()
+    const wzLinks = this.root.querySelectorAll('.wz-link')
     
     wzLinks.forEach(link => {
       const pageIndex = parseInt(link.dataset.page, 10)
       const label = link.dataset.label
-      const pageSpec = this.getPageSpec(pageIndex)
-      
-      let zonePath = `/${this.currentManifestId}/p${pageSpec}/`
-      if (filterSpec) {
-        zonePath += `filter:${filterSpec}/`
-      }
-      zonePath += `wz${pageIndex}.${label}/`
-      
-      link.href = `${this.basePath}${zonePath}`
+      link.href = this.getPagePath(this.getPageSpec(pageIndex), pageIndex, label)
     })
   }
 
@@ -1209,10 +1904,9 @@ export class VideFacsRouter {
    * @param {Array} currentPageIndices - Array of current page numbers (currently visible)
    */
   setupWritingZones(currentPageIndices = [1]) {
-    const zonesList = document.querySelector('.zones-list')
+    const zonesList = this.root.querySelector('.zones-list')
     if (!zonesList || !this.currentPages || !this.currentEdition) return
 
-    const manifestId = this.getCurrentManifestId()
     const sourceLabel = this.currentEdition.source.label
 
     // Clear existing zones
@@ -1229,32 +1923,41 @@ export class VideFacsRouter {
       pagesToShow = Array.from({ length: totalPages }, (_, i) => i + 1)
     }
 
-    // Group pages into pairs for headings
-    // Page 1 is alone, then pairs: 2/3, 4/5, 6/7, etc.
-    const pagePairs = []
-    if (pagesToShow.length > 0 && pagesToShow.includes(1)) {
-      pagePairs.push([1])
+    // Group pages by spread for headings
+    const pagePairs = (this.spreads || [])
+      .map(spread => spread.filter(pageIndex => pagesToShow.includes(pageIndex)))
+      .filter(pair => pair.length > 0)
+    // Pages shown outside the spread model (e.g. an explicit p4-5 route)
+    const grouped = new Set(pagePairs.flat())
+    if (pagesToShow.some(pageIndex => !grouped.has(pageIndex))) {
+      pagePairs.splice(0, pagePairs.length, pagesToShow)
     }
-    for (let i = pagesToShow[0] === 1 ? 1 : 0; i < pagesToShow.length; i += 2) {
-      const pageNum = pagesToShow[i]
-      if (pageNum === 1) continue // Already handled
-      
-      const pair = [pageNum]
-      if (i + 1 < pagesToShow.length) {
-        pair.push(pagesToShow[i + 1])
-      }
-      pagePairs.push(pair)
+
+    // Show how many zones pass the filters
+    const countEl = this.byId('filter-result-count')
+    if (countEl) {
+      const total = pagesToShow.reduce((sum, pageIndex) =>
+        sum + (this.currentPages[pageIndex - 1]?.writingZones?.length || 0), 0)
+      const matching = pagesToShow.reduce((sum, pageIndex) =>
+        sum + this.getFilteredZones(this.currentPages[pageIndex - 1]).length, 0)
+      countEl.textContent = hasActiveFacets(this.filters) ?
+        this.t('filter.resultCountFiltered', { matching, count: total }) :
+        this.t('filter.resultCount', { count: total })
     }
 
     // Render zones for each page pair
     pagePairs.forEach(pair => {
+      // Skip pairs without matching zones when listing all pages
+      const pairHasZones = pair.some(pageIndex =>
+        this.getFilteredZones(this.currentPages[pageIndex - 1]).length > 0)
+
       // Add page pair heading if showing all pages
-      if (!this.restrictToCurrentPage) {
+      if (!this.restrictToCurrentPage && pairHasZones) {
         const headingLi = document.createElement('li')
         headingLi.className = 'page-pair-heading'
         const pairLabel = pair.length === 2 ? 
-          `Seite ${pair[0]} / ${pair[1]}` : 
-          `Seite ${pair[0]}`
+          this.t('page.pair', { first: pair[0], second: pair[1] }) : 
+          this.t('page.label', { page: pair[0] })
         headingLi.textContent = pairLabel
         zonesList.appendChild(headingLi)
       }
@@ -1264,12 +1967,7 @@ export class VideFacsRouter {
         const page = this.currentPages[pageIndex - 1]
         if (!page || !page.writingZones) return
 
-        // Sort zones by label (numeric sort)
-        const sortedZones = [...page.writingZones].sort((a, b) => {
-          const aNum = parseInt(a.label) || 0
-          const bNum = parseInt(b.label) || 0
-          return aNum - bNum
-        })
+        const sortedZones = this.getFilteredZones(page)
 
         sortedZones.forEach(zone => {
           const li = document.createElement('li')
@@ -1298,17 +1996,7 @@ export class VideFacsRouter {
             previewPageIndices = currentPageIndices
           } else {
             // Show the spread containing this zone
-            // Page 1 alone, then pairs: 2/3, 4/5, 6/7, etc.
-            if (pageIndex === 1) {
-              previewPageIndices = [1]
-            } else {
-              // For pages 2+, pair as: 2/3, 4/5, 6/7, etc.
-              const pairStart = pageIndex % 2 === 0 ? pageIndex : pageIndex - 1
-              previewPageIndices = [pairStart]
-              if (pairStart + 1 <= this.currentPages.length) {
-                previewPageIndices.push(pairStart + 1)
-              }
-            }
+            previewPageIndices = spreadOf(this.spreads || [], pageIndex) || [pageIndex]
           }
           
           // Create frame for each page in the preview
@@ -1391,54 +2079,25 @@ export class VideFacsRouter {
 
           // Click handler - navigate to zone
           li.addEventListener('click', () => {
-            // Determine the appropriate page spread for this zone
-            let targetPageSpec
-            if (isOnCurrentPage) {
-              // Zone is on current page, keep current spread
-              targetPageSpec = currentPageIndices.length === 2 ? 
-                `${currentPageIndices[0]}-${currentPageIndices[1]}` : 
-                `${pageIndex}`
-            } else {
-              // Zone is on different page, navigate to that page's spread
-              // Page 1 alone, then pairs: 2/3, 4/5, etc.
-              if (pageIndex === 1) {
-                targetPageSpec = '1'
-              } else {
-                const pairStart = pageIndex % 2 === 0 ? pageIndex : pageIndex - 1
-                if (pairStart + 1 <= this.currentPages.length) {
-                  targetPageSpec = `${pairStart}-${pairStart + 1}`
-                } else {
-                  targetPageSpec = `${pairStart}`
-                }
-              }
-            }
-            
-            // Build path with filters
-            const filterSpec = this.getFilterSpec()
-            let path = `${this.basePath}/${manifestId}/p${targetPageSpec}/`
-            if (filterSpec) {
-              path += `filter:${filterSpec}/`
-            }
-            path += `wz${pageIndex}.${zone.label}/`
-            
-            this.navigate(path)
+            this.navigate(this.getZonePath(pageIndex, zone.label, currentPageIndices))
           })
 
-          // Hover handlers
+          // Hover handlers - highlight the zone outline in the viewer
           li.addEventListener('mouseenter', () => {
-            // TODO: Highlight zone in viewer
             li.classList.add('hover')
+            this.setZoneOverlayHover(pageIndex, zone.label, true)
           })
 
           li.addEventListener('mouseleave', () => {
             li.classList.remove('hover')
+            this.setZoneOverlayHover(pageIndex, zone.label, false)
           })
 
           zonesList.appendChild(li)
           
           // If this is the active zone, add metadata right after it
           if (this.currentZoneLabel === zone.label && this.currentZonePageIndex === pageIndex) {
-            const metadataLi = this.createZoneMetadata(zone)
+            const metadataLi = this.createZoneMetadata(zone, pageIndex)
             zonesList.appendChild(metadataLi)
             
             // Scroll the active zone into view
@@ -1452,84 +2111,896 @@ export class VideFacsRouter {
     
     // Setup keyboard navigation
     this.setupZoneKeyboardNavigation()
+
+    // Sync active zone outline in the viewer
+    this.updateZoneOverlayStates()
   }
 
   /**
-   * Update active zone without reloading the viewer
-   * @param {string} zoneLabel - Writing zone label
-   * @param {number} zonePageIndex - Page index for the zone (1-based)
+   * Draw outlines of all writing zones on the displayed pages as an SVG overlay
+   * The SVG covers the current world bounds and uses mm world coordinates as viewBox,
+   * so zone polygons from zonePolygon() can be used directly.
    */
-  updateActiveZone(zoneLabel, zonePageIndex) {
-    // Update stored zone info
-    this.currentZoneLabel = zoneLabel
-    this.currentZonePageIndex = zonePageIndex
-    
-    // Rebuild zones list to move metadata to new active zone
-    const currentPageIndices = this.currentPageIndices || []
-    if (currentPageIndices.length > 0) {
-      this.setupWritingZones(currentPageIndices)
+  drawZoneOverlays() {
+    if (!this.viewer || !this.currentlyDisplayedPages || !this.currentWorldBounds) return
+
+    if (this.zoneOverlay) {
+      this.viewer.removeOverlay(this.zoneOverlay)
+      this.zoneOverlay = null
     }
+
+    const svgNS = 'http://www.w3.org/2000/svg'
+    const bounds = this.currentWorldBounds
+    const svg = document.createElementNS(svgNS, 'svg')
+    svg.classList.add('wz-overlay-layer')
+    svg.setAttribute('viewBox', `${bounds.x} ${bounds.y} ${bounds.width} ${bounds.height}`)
+    svg.setAttribute('preserveAspectRatio', 'none')
+
+    this.currentlyDisplayedPages.forEach(page => {
+      const pageIndex = this.currentPages.indexOf(page) + 1
+      const placement = this.calculatePagePosition(page)
+      const zones = page.writingZones || []
+
+      zones.forEach(zone => {
+        const points = zonePolygon(zone, page, placement)
+        if (!points) return
+
+        const polygon = document.createElementNS(svgNS, 'polygon')
+        polygon.setAttribute('points', points.map(p => `${p.x},${p.y}`).join(' '))
+        polygon.classList.add('wz-overlay')
+        polygon.dataset.pageIndex = pageIndex
+        polygon.dataset.zoneLabel = zone.label
+        svg.appendChild(polygon)
+      })
+    })
+
+    this.viewer.addOverlay({ element: svg, location: bounds })
+    this.zoneOverlay = svg
+    this.updateZoneOverlayStates()
   }
 
   /**
-   * Create metadata display element for a zone
-   * @param {Object} zone - The zone object
-   * @returns {HTMLElement} List item containing metadata
+   * Find the overlay outline for a zone
+   * @param {number} pageIndex - Page index (1-based)
+   * @param {string} label - Zone label
+   * @returns {SVGElement|null}
    */
-  createZoneMetadata(zone) {
-    const li = document.createElement('li')
-    li.className = 'zone-metadata'
+  getZoneOverlay(pageIndex, label) {
+    if (!this.zoneOverlay) return null
+    return Array.from(this.zoneOverlay.querySelectorAll('.wz-overlay')).find(polygon =>
+      polygon.dataset.pageIndex === `${pageIndex}` && polygon.dataset.zoneLabel === label
+    ) || null
+  }
 
-    // Build metadata HTML
-    let html = '<div class="metadata-content">'
+  /**
+   * Highlight or unhighlight a zone outline (e.g. while hovering the zones list)
+   * @param {number} pageIndex - Page index (1-based)
+   * @param {string} label - Zone label
+   * @param {boolean} isHovered - Whether to highlight
+   */
+  setZoneOverlayHover(pageIndex, label, isHovered) {
+    const polygon = this.getZoneOverlay(pageIndex, label)
+    if (polygon) {
+      polygon.classList.toggle('hover', isHovered)
+    }
+  }
 
-    // Sketch properties section
-    html += '<div class="metadata-section sketch-properties">'
-    html += '<div class="metadata-section-title">Skizze:</div>'
-    
-    if (zone.sketchProps) {
-      const props = zone.sketchProps
-      
-      html += '<div class="metadata-section-content">'
-      // Staves and measures
-      html += '<div class="metadata-row">'
-      if (props.staves) {
-        const stavesLabel = props.staves === 1 ? 'System' : 'Systeme'
-        html += `<span class="metadata-item"><strong>${props.staves}</strong> ${stavesLabel}</span>`
-      }
-      if (props.atMeasures) {
-        const measuresLabel = props.atMeasures === 1 ? 'Takt' : 'Takte'
-        html += `<span class="metadata-item">~<strong>${props.atMeasures}</strong> ${measuresLabel}</span>`
-      }
-      html += '</div>'
+  /**
+   * Mark the outline of the active zone (wz route segment)
+   */
+  updateZoneOverlayStates() {
+    if (!this.zoneOverlay) return
+
+    this.zoneOverlay.querySelectorAll('.wz-overlay').forEach(polygon => {
+      const isActive = polygon.dataset.zoneLabel === this.currentZoneLabel &&
+        polygon.dataset.pageIndex === `${this.currentZonePageIndex}`
+      polygon.classList.toggle('active', isActive)
+
+      // Dim zones that don't pass the filters
+      const page = this.currentPages[parseInt(polygon.dataset.pageIndex, 10) - 1]
+      const zone = page?.writingZones?.find(z => z.label === polygon.dataset.zoneLabel)
+      polygon.classList.toggle('filtered-out', !!zone && !zoneMatchesFilters(zone, this.filters))
+    })
+  }
 
-      // Key, meter, and tempo signatures
-      html += '<div class="metadata-row">'
-      if (props.keySig && props.keySig.val) {
-        const keySupplied = props.keySig.supplied ? ' <span class="supplied-indicator" title="editorisch ergänzt">*</span>' : ''
-        html += `<span class="metadata-item">Vorzeichnung: <strong>${this.formatKeySig(props.keySig.val)}</strong>${keySupplied}</span>`
-      }
-      if (props.meterSig && props.meterSig.val) {
-        const meterSupplied = props.meterSig.supplied ? ' <span class="supplied-indicator" title="editorisch ergänzt">*</span>' : ''
-        html += `<span class="metadata-item">Taktart: <strong>${props.meterSig.val}</strong>${meterSupplied}</span>`
-      }
-      if (props.tempo) {
-        if (props.tempo.val) {
-          const tempoSupplied = props.tempo.supplied ? ' <span class="supplied-indicator" title="editorisch ergänzt">*</span>' : ''
-          html += `<span class="metadata-item">Tempo: <strong>${props.tempo.val}</strong>${tempoSupplied}</span>`
-        } else {
-          html += `<span class="metadata-item">Tempo: <strong>–</strong></span>`
+  /**
+   * Build the route path for a writing zone
+   * Keeps the current spread if the zone is visible, otherwise opens the zone's spread
+   * @param {number} pageIndex - Page index of the zone (1-based)
+   * @param {string} label - Zone label
+   * @param {Array} currentPageIndices - Currently visible page numbers
+   * @returns {string} Link target including current filters (see getPagePath)
+   */
+  getZonePath(pageIndex, label, currentPageIndices = this.currentPageIndices || []) {
+    // Determine the appropriate page spread for this zone
+    let targetPageSpec
+    if (currentPageIndices.includes(pageIndex)) {
+      // Zone is on current page, keep current spread
+      targetPageSpec = currentPageIndices.length === 2 ?
+        `${currentPageIndices[0]}-${currentPageIndices[1]}` :
+        `${pageIndex}`
+    } else {
+      // Zone is on different page, navigate to that page's spread
+      targetPageSpec = this.getPageSpec(pageIndex)
+    }
+
+    return this.getPagePath(targetPageSpec, pageIndex, label)
+  }
+
+  /**
+   * Find all writing zones on the displayed pages containing a world point
+   * @param {Object} point - { x, y } in mm world coordinates
+   * @returns {Array} Hits { pageIndex, label, area }, smallest area first
+   */
+  getZonesAtPoint(point) {
+    if (!this.currentlyDisplayedPages) return []
+
+    const hits = []
+    this.currentlyDisplayedPages.forEach(page => {
+      const pageIndex = this.currentPages.indexOf(page) + 1
+      const placement = this.calculatePagePosition(page)
+      const zones = page.writingZones || []
+
+      zones.forEach(zone => {
+        const polygon = zonePolygon(zone, page, placement)
+        if (polygon && pointInPolygon(point, polygon)) {
+          hits.push({ pageIndex, label: zone.label, area: polygonArea(polygon) })
         }
-      }
-      html += '</div>'
-      
-      // Writing zones sequence (if present)
-      if (props.writingZones) {
-        const wzSequence = Array.isArray(props.writingZones) ? props.writingZones : [props.writingZones]
-        const currentGenDescId = zone.identifier?.genDescId
+      })
+    })
+
+    return hits.sort((a, b) => a.area - b.area)
+  }
+
+  /**
+   * Navigate to writing zones clicked or tapped on the facsimile
+   * Overlapping zones resolve to the smallest one; clicking again inside the
+   * active zone cycles through the others at that spot.
+   */
+  setupZoneHitTesting() {
+    if (!this.viewer) return
+
+    this.viewer.addHandler('canvas-click', (event) => {
+      // Ignore drags
+      if (!event.quick) return
+
+      // Clicks draw measurements instead while measuring
+      if (this.measureMode) {
+        event.preventDefaultAction = true
+        return
+      }
+
+      const point = this.viewer.viewport.pointFromPixel(event.position)
+      const hits = this.getZonesAtPoint(point)
+      if (hits.length === 0) return
+
+      // Don't zoom in on clicks that select a zone
+      event.preventDefaultAction = true
+
+      const activeIndex = hits.findIndex(hit =>
+        hit.pageIndex === this.currentZonePageIndex && hit.label === this.currentZoneLabel
+      )
+      const target = hits[(activeIndex + 1) % hits.length]
+
+      this.navigate(this.getZonePath(target.pageIndex, target.label))
+    })
+  }
+
+  /**
+   * Find the displayed page at a world point
+   * @param {Object} point - { x, y } in world mm
+   * @returns {Object|null} { page, pageIndex, placement, position } with position in page mm
+   */
+  getPageAtPoint(point) {
+    for (const page of this.currentlyDisplayedPages || []) {
+      const placement = this.calculatePagePosition(page)
+      const position = worldToPage(point, page, placement)
+      if (position.x >= 0 && position.y >= 0 && position.x <= page.mm.width && position.y <= page.mm.height) {
+        return { page, pageIndex: this.currentPages.indexOf(page) + 1, placement, position }
+      }
+    }
+    return null
+  }
+
+  /**
+   * Draw measurements by dragging on a page while measuring mode is on
+   * Drags starting outside the pages still pan the view.
+   */
+  setupMeasuring() {
+    if (!this.viewer) return
+
+    this.viewer.addHandler('canvas-press', (event) => {
+      if (!this.measureMode) return
+      const hit = this.getPageAtPoint(this.viewer.viewport.pointFromPixel(event.position))
+      if (!hit) return
+
+      this.measureDraft = {
+        shape: this.measureShape,
+        pageIndex: hit.pageIndex,
+        start: hit.position,
+        end: hit.position
+      }
+    })
+
+    this.viewer.addHandler('canvas-drag', (event) => {
+      if (!this.measureDraft) return
+      event.preventDefaultAction = true
+
+      const page = this.currentPages[this.measureDraft.pageIndex - 1]
+      const point = this.viewer.viewport.pointFromPixel(event.position)
+      this.measureDraft.end = worldToPage(point, page, this.calculatePagePosition(page))
+      this.drawMeasurements()
+    })
+
+    this.viewer.addHandler('canvas-release', () => {
+      const draft = this.measureDraft
+      if (!draft) return
+      this.measureDraft = null
+
+      // Ignore clicks without a drag
+      if (Math.hypot(draft.end.x - draft.start.x, draft.end.y - draft.start.y) < 0.5) {
+        this.drawMeasurements()
+        return
+      }
+      this.setMeasurements([...this.measurements, draft])
+    })
+  }
+
+  /**
+   * Replace the measurements and update overlay, results and URL
+   * @param {Array} measurements - Measurements (see measure.js)
+   */
+  setMeasurements(measurements) {
+    this.measurements = measurements
+    this.drawMeasurements()
+    this.updateMeasureResults()
+    this.updateMeasureUrl()
+  }
+
+  /**
+   * Apply measurements from the `measure:` route segment
+   * @param {string} measureSpec - Measure spec (see serializeMeasureSpec)
+   */
+  applyMeasurementsFromUrl(measureSpec) {
+    this.measurementsInUrl = true
+    if (measureSpec === serializeMeasureSpec(this.measurements)) return
+
+    this.measurements = parseMeasureSpec(measureSpec)
+    this.drawMeasurements()
+    this.updateMeasureResults()
+  }
+
+  /**
+   * Write the measurements to the URL if they are kept there
+   * Replaces the history entry, so measuring does not add to the back button.
+   */
+  updateMeasureUrl() {
+    if (!this.measurementsInUrl || !this.currentPageSpec) return
+    this.navigate(this.getPagePath(
+      this.currentPageSpec,
+      this.currentZonePageIndex,
+      this.currentZoneLabel
+    ), { replace: true })
+  }
+
+  /**
+   * Format the values of a measurement for display
+   * @param {Object} measurement - Measurement
+   * @returns {string}
+   */
+  formatMeasurement(measurement) {
+    const values = measure(measurement)
+    const format = value => this.t.number(value, { maximumFractionDigits: 1 })
+    if (measurement.shape === 'rect') {
+      return this.t('measure.rectResult', {
+        width: format(values.width),
+        height: format(values.height),
+        area: format(values.area)
+      })
+    }
+    return this.t('measure.lineResult', { length: format(values.length), angle: format(values.angle) })
+  }
+
+  /**
+   * Draw the measurements on displayed pages (and the one being drawn)
+   * Shapes go into an SVG overlay in world coordinates like the zone outlines,
+   * values into HTML overlays so that they keep their size when zooming.
+   */
+  drawMeasurements() {
+    if (!this.viewer || !this.currentWorldBounds) return
+
+    if (this.measureOverlay) {
+      this.viewer.removeOverlay(this.measureOverlay)
+      this.measureOverlay = null
+    }
+    this.measureLabels?.forEach(label => this.viewer.removeOverlay(label))
+    this.measureLabels = []
+
+    const measurements = this.measureDraft ? [...this.measurements, this.measureDraft] : this.measurements
+    const displayed = measurements.filter(({ pageIndex }) =>
+      this.currentlyDisplayedPages?.includes(this.currentPages[pageIndex - 1])
+    )
+    if (displayed.length === 0) return
+
+    const svgNS = 'http://www.w3.org/2000/svg'
+    const bounds = this.currentWorldBounds
+    const svg = document.createElementNS(svgNS, 'svg')
+    svg.classList.add('measure-overlay-layer')
+    svg.setAttribute('viewBox', `${bounds.x} ${bounds.y} ${bounds.width} ${bounds.height}`)
+    svg.setAttribute('preserveAspectRatio', 'none')
+
+    displayed.forEach(measurement => {
+      const page = this.currentPages[measurement.pageIndex - 1]
+      const placement = this.calculatePagePosition(page)
+      const points = measurementOutline(measurement).map(point => pageToWorld(point, page, placement))
+
+      const shape = document.createElementNS(svgNS, measurement.shape === 'rect' ? 'polygon' : 'polyline')
+      shape.setAttribute('points', points.map(p => `${p.x},${p.y}`).join(' '))
+      shape.classList.add('measure-shape-outline')
+      svg.appendChild(shape)
+
+      const center = {
+        x: points.reduce((sum, p) => sum + p.x, 0) / points.length,
+        y: points.reduce((sum, p) => sum + p.y, 0) / points.length
+      }
+      const label = document.createElement('div')
+      label.className = 'measure-label'
+      label.textContent = this.formatMeasurement(measurement)
+      this.viewer.addOverlay({
+        element: label,
+        location: new OpenSeadragon.Point(center.x, center.y),
+        placement: OpenSeadragon.Placement.CENTER
+      })
+      this.measureLabels.push(label)
+    })
+
+    this.viewer.addOverlay({ element: svg, location: bounds })
+    this.measureOverlay = svg
+  }
+
+  /**
+   * List the measurements in the measuring panel
+   */
+  updateMeasureResults() {
+    const list = this.byId('measure-results')
+    if (!list) return
+
+    const sourceLabel = this.currentEdition?.source?.label || ''
+    list.innerHTML = ''
+    this.measurements.forEach((measurement, index) => {
+      const item = document.createElement('li')
+      const text = document.createElement('span')
+      text.textContent = `${sourceLabel} ${measurement.pageIndex}: ${this.formatMeasurement(measurement)}`.trim()
+      const removeBtn = document.createElement('button')
+      removeBtn.type = 'button'
+      removeBtn.className = 'measure-remove'
+      removeBtn.title = this.t('measure.remove')
+      removeBtn.textContent = '✕'
+      removeBtn.addEventListener('click', () => {
+        this.setMeasurements(this.measurements.filter((m, i) => i !== index))
+      })
+      item.append(text, removeBtn)
+      list.appendChild(item)
+    })
+  }
+
+  /**
+   * Setup the measuring toggle and panel
+   */
+  setupMeasureControls() {
+    const toggleBtn = this.byId('toggle-measure')
+    const panel = this.byId('measure-panel')
+    const viewerEl = this.byId('openseadragon-viewer')
+    if (!toggleBtn || !panel) return
+
+    const shapeBtns = panel.querySelectorAll('.measure-shape')
+    const inUrlCheckbox = this.byId('measure-in-url')
+    const copyBtn = this.byId('measure-copy')
+    const clearBtn = this.byId('measure-clear')
+
+    const update = () => {
+      toggleBtn.classList.toggle('active', this.measureMode)
+      panel.hidden = !this.measureMode
+      viewerEl?.classList.toggle('measuring', this.measureMode)
+      shapeBtns.forEach(btn => btn.classList.toggle('active', btn.dataset.shape === this.measureShape))
+    }
+
+    toggleBtn.addEventListener('click', () => {
+      this.measureMode = !this.measureMode
+      update()
+    })
+
+    shapeBtns.forEach(btn => {
+      btn.addEventListener('click', () => {
+        this.measureShape = btn.dataset.shape
+        update()
+      })
+    })
+
+    if (inUrlCheckbox) {
+      inUrlCheckbox.checked = this.measurementsInUrl
+      inUrlCheckbox.addEventListener('change', () => {
+        // Checking adds the measure segment, unchecking drops it
+        this.measurementsInUrl = inUrlCheckbox.checked
+        if (this.currentPageSpec) {
+          this.navigate(this.getPagePath(
+            this.currentPageSpec,
+            this.currentZonePageIndex,
+            this.currentZoneLabel
+          ), { replace: true })
+        }
+      })
+    }
+
+    // Copy the results as plain text, one measurement per line
+    if (copyBtn) {
+      copyBtn.addEventListener('click', () => {
+        const lines = Array.from(panel.querySelectorAll('.measure-results li span'))
+          .map(span => span.textContent)
+        if (lines.length === 0 || !navigator.clipboard) return
+        navigator.clipboard.writeText(lines.join('\n')).then(() => {
+          copyBtn.textContent = this.t('measure.copied')
+          setTimeout(() => { copyBtn.textContent = this.t('measure.copy') }, 1500)
+        }).catch(error => console.warn('[VideFacs] Could not copy measurements:', error))
+      })
+    }
+
+    if (clearBtn) {
+      clearBtn.addEventListener('click', () => this.setMeasurements([]))
+    }
+
+    update()
+    this.updateMeasureResults()
+  }
+
+  /**
+   * Adjust the pixels of every tile before it is drawn
+   * A tile keeps a copy of its original pixels, so it can be adjusted again
+   * whenever the settings change.
+   * @param {Object} viewer - OpenSeadragon viewer, the main one or the comparison pane's
+   */
+  setupEnhancement(viewer = this.viewer) {
+    if (!viewer) return
+
+    viewer.addHandler('tile-drawing', (event) => {
+      const { tile, rendered } = event
+      if (!rendered || tile.videEnhancementVersion === this.enhancementVersion) return
+      if (!tile.videOriginalPixels && isDefaultEnhancement(this.enhancement)) return
+
+      const { width, height } = rendered.canvas
+      try {
+        if (!tile.videOriginalPixels) {
+          tile.videOriginalPixels = rendered.getImageData(0, 0, width, height)
+        }
+        const pixels = new ImageData(new Uint8ClampedArray(tile.videOriginalPixels.data), width, height)
+        applyEnhancement(pixels.data, this.enhancement, this.enhancementTable)
+        rendered.putImageData(pixels, 0, 0)
+        tile.videEnhancementVersion = this.enhancementVersion
+      } catch (error) {
+        // Tiles from servers without CORS headers taint the canvas
+        if (!this.enhancementUnavailable) {
+          console.warn('[VideFacs] Image adjustments unavailable:', error)
+          this.enhancementUnavailable = true
+          const note = this.root.querySelector('.enhance-note')
+          if (note) note.hidden = false
+        }
+        tile.videEnhancementVersion = this.enhancementVersion
+      }
+    })
+  }
+
+  /**
+   * Change the image adjustments
+   * @param {Object} settings - Settings (see defaultEnhancement), missing keys take the default
+   * @param {Object} options - { updateUrl: false } to leave the URL alone
+   */
+  setEnhancement(settings, { updateUrl = true } = {}) {
+    const enhancement = normalizeEnhancement(settings)
+    if (serializeEnhanceSpec(enhancement) === serializeEnhanceSpec(this.enhancement)) return
+
+    this.enhancement = enhancement
+    this.enhancementTable = buildToneTable(enhancement)
+    this.enhancementVersion++
+    saveSessionEnhancement(enhancement)
+
+    const form = this.byId('enhance-panel')
+    if (form) this.writeEnhanceForm(form)
+    this.byId('toggle-enhance')?.classList.toggle('active', !isDefaultEnhancement(enhancement))
+    if (this.viewer) this.viewer.forceRedraw()
+    this.comparePane?.viewer?.forceRedraw()
+
+    if (updateUrl) this.updateEnhanceUrl()
+  }
+
+  /**
+   * Write the image adjustments to the URL, replacing the history entry
+   */
+  updateEnhanceUrl() {
+    if (!this.currentPageSpec) return
+    this.navigate(this.getPagePath(
+      this.currentPageSpec,
+      this.currentZonePageIndex,
+      this.currentZoneLabel
+    ), { replace: true })
+  }
+
+  /**
+   * Read the image adjustments from the panel
+   * @param {HTMLFormElement} form - Enhancement panel
+   * @returns {Object} Settings
+   */
+  readEnhanceForm(form) {
+    const { elements } = form
+    return normalizeEnhancement({
+      brightness: elements.brightness.value,
+      contrast: elements.contrast.value,
+      gamma: elements.gamma.value,
+      greyscale: elements.greyscale.checked,
+      invert: elements.invert.checked,
+      channel: elements.channel.value,
+      threshold: elements.thresholdEnabled.checked ? elements.threshold.value : null
+    })
+  }
+
+  /**
+   * Show the current image adjustments in the panel
+   * @param {HTMLFormElement} form - Enhancement panel
+   */
+  writeEnhanceForm(form) {
+    const { elements } = form
+    const settings = this.enhancement
+    elements.brightness.value = settings.brightness
+    elements.contrast.value = settings.contrast
+    elements.gamma.value = settings.gamma
+    elements.greyscale.checked = settings.greyscale
+    elements.invert.checked = settings.invert
+    elements.channel.value = settings.channel
+    elements.thresholdEnabled.checked = settings.threshold !== null
+    elements.threshold.disabled = settings.threshold === null
+    if (settings.threshold !== null) elements.threshold.value = settings.threshold
+  }
+
+  /**
+   * Setup the image adjustments toggle and panel
+   * Adjustments follow the controls while they move; the URL is updated once
+   * a control is released.
+   */
+  setupEnhanceControls() {
+    const toggleBtn = this.byId('toggle-enhance')
+    const form = this.byId('enhance-panel')
+    if (!toggleBtn || !form) return
+
+    this.writeEnhanceForm(form)
+    toggleBtn.classList.toggle('active', !isDefaultEnhancement(this.enhancement))
+    if (this.enhancementUnavailable) form.querySelector('.enhance-note').hidden = false
+
+    toggleBtn.addEventListener('click', () => {
+      form.hidden = !form.hidden
+    })
+
+    form.addEventListener('input', () => {
+      this.setEnhancement(this.readEnhanceForm(form), { updateUrl: false })
+    })
+    form.addEventListener('change', () => this.updateEnhanceUrl())
+
+    form.querySelectorAll('[data-preset]').forEach(btn => {
+      btn.addEventListener('click', () => this.setEnhancement(enhancementPresets[btn.dataset.preset]))
+    })
+
+    form.addEventListener('reset', (e) => {
+      e.preventDefault()
+      this.setEnhancement(defaultEnhancement)
+    })
+  }
+
+  /**
+   * Screen pixels per world mm at the current zoom
+   * @returns {number}
+   */
+  getPixelsPerMm() {
+    return this.viewer.viewport.deltaPixelsFromPointsNoRotate(new OpenSeadragon.Point(1, 0), true).x
+  }
+
+  /**
+   * Show a round length in mm on the scale bar
+   */
+  updateScaleBar() {
+    const scaleBar = this.byId('scale-bar')
+    if (!scaleBar || !this.viewer) return
+
+    const pixelsPerMm = this.getPixelsPerMm()
+    if (!(pixelsPerMm > 0)) return
+
+    const { mm, pixels } = scaleBarLength(pixelsPerMm)
+    scaleBar.querySelector('.scale-bar-line').style.width = `${pixels}px`
+    scaleBar.querySelector('.scale-bar-label').textContent = this.t('scale.mm', { value: mm })
+  }
+
+  /**
+   * Zoom so that a millimetre of the page appears as a millimetre on screen
+   * Asks for a screen calibration first if there is none yet.
+   * @returns {boolean} Whether the viewer was zoomed (false while calibrating)
+   */
+  zoomToActualSize() {
+    if (!this.viewer) return false
+
+    const calibration = loadCalibration()
+    if (!calibration) {
+      this.openCalibration(() => this.zoomToActualSize())
+      return false
+    }
+
+    const viewport = this.viewer.viewport
+    viewport.zoomTo(viewport.getZoom(true) * calibration / this.getPixelsPerMm())
+    return true
+  }
+
+  /**
+   * Open the screen calibration dialog
+   * @param {Function} [onSave] - Called after a calibration was saved
+   */
+  openCalibration(onSave = null) {
+    const dialog = this.byId('calibration-dialog')
+    const slider = this.byId('calibration-size')
+    if (!dialog || !slider) return
+
+    this.calibrationCallback = onSave
+    slider.value = Math.round((loadCalibration() || DEFAULT_PIXELS_PER_MM) * CARD_WIDTH_MM)
+    slider.dispatchEvent(new Event('input'))
+    dialog.hidden = false
+    slider.focus()
+  }
+
+  /**
+   * Close the screen calibration dialog without saving
+   */
+  closeCalibration() {
+    const dialog = this.byId('calibration-dialog')
+    if (dialog) dialog.hidden = true
+    this.calibrationCallback = null
+  }
+
+  /**
+   * Setup the actual size button, the scale bar and the calibration dialog
+   */
+  setupScaleControls() {
+    const actualSizeBtn = this.byId('actual-size')
+    const scaleBar = this.byId('scale-bar')
+    const slider = this.byId('calibration-size')
+    const card = this.byId('calibration-card')
+    const saveBtn = this.byId('calibration-save')
+    const cancelBtn = this.byId('calibration-cancel')
+
+    if (actualSizeBtn) {
+      actualSizeBtn.addEventListener('click', () => this.zoomToActualSize())
+    }
+
+    // The scale bar doubles as the way to calibrate again
+    if (scaleBar) {
+      scaleBar.addEventListener('click', () => this.openCalibration())
+    }
+
+    if (slider && card) {
+      slider.addEventListener('input', () => {
+        card.style.width = `${slider.value}px`
+      })
+    }
+
+    if (saveBtn && slider) {
+      saveBtn.addEventListener('click', () => {
+        const onSave = this.calibrationCallback
+        saveCalibration(slider.value / CARD_WIDTH_MM)
+        this.closeCalibration()
+        if (onSave) onSave()
+      })
+    }
+
+    if (cancelBtn) {
+      cancelBtn.addEventListener('click', () => this.closeCalibration())
+    }
+  }
+
+  /**
+   * Show, update or remove the comparison pane for the current route
+   */
+  syncComparePane() {
+    const view = this.root.querySelector('.facsimile-view')
+    const element = this.root.querySelector('.compare-pane')
+    if (!view || !element) return
+
+    view.classList.toggle('comparing', !!this.compare)
+    element.hidden = !this.compare
+    this.byId('toggle-compare')?.classList.toggle('active', !!this.compare)
+
+    if (!this.compare) {
+      this.comparePane?.destroy()
+      this.comparePane = null
+      return
+    }
+
+    if (!this.comparePane) this.comparePane = new ComparePane(this, element)
+    this.comparePane.show(this.compare)
+  }
+
+  /**
+   * Show a spread beside the main viewer, or close the comparison
+   * @param {Object|null} compare - { edition, pageSpec, linked } (pageSpec defaults to the first spread)
+   * @param {Object} options - Navigation options (see navigate)
+   */
+  setCompare(compare, options = {}) {
+    this.compare = compare?.edition
+      ? { edition: `${compare.edition}`, pageSpec: compare.pageSpec ? `${compare.pageSpec}` : null, linked: !!compare.linked }
+      : null
+
+    const pageSpec = this.getState().pageSpec
+    if (!pageSpec) return
+    this.navigate(this.getPagePath(pageSpec, this.currentZonePageIndex, this.currentZoneLabel), options)
+  }
+
+  /**
+   * Top of the shown spread in world mm: 0, or its offset when scrolling continuously
+   * Linked viewports line up relative to it.
+   * @returns {number}
+   */
+  getSpreadOrigin() {
+    const page = this.currentPages?.[(this.currentPageIndices?.[0] || 0) - 1]
+    return this.scrollOffsets?.get(page) ?? 0
+  }
+
+  /**
+   * Update active zone without reloading the viewer
+   * @param {string} zoneLabel - Writing zone label
+   * @param {number} zonePageIndex - Page index for the zone (1-based)
+   */
+  updateActiveZone(zoneLabel, zonePageIndex) {
+    const zoneChanged = zoneLabel !== this.currentZoneLabel ||
+      zonePageIndex !== this.currentZonePageIndex
+
+    // Update stored zone info
+    this.currentZoneLabel = zoneLabel
+    this.currentZonePageIndex = zonePageIndex
+    
+    // Rebuild zones list to move metadata to new active zone
+    const currentPageIndices = this.currentPageIndices || []
+    if (currentPageIndices.length > 0) {
+      this.setupWritingZones(currentPageIndices)
+    }
+
+    this.updateZoneOverlayStates()
+
+    // Only move the viewport when the zone actually changed (not on filter updates)
+    if (zoneChanged) {
+      this.fitActiveZone()
+    }
+
+    this.emitZoneChange()
+  }
+
+  /**
+   * Get the bounding box of a displayed writing zone in world (mm) coordinates
+   * @param {number} pageIndex - Page index (1-based)
+   * @param {string} label - Zone label
+   * @returns {Object|null} { x, y, width, height } or null if the zone is not displayed
+   */
+  getZoneBounds(pageIndex, label) {
+    const page = this.currentPages?.[pageIndex - 1]
+    if (!page || !this.currentlyDisplayedPages?.includes(page)) return null
+
+    const zone = (page.writingZones || []).find(z => z.label === label)
+    if (!zone) return null
+
+    const polygon = zonePolygon(zone, page, this.calculatePagePosition(page))
+    return polygon ? polygonBounds(polygon) : null
+  }
+
+  /**
+   * Animate the viewport to a writing zone, with the configured padding
+   * @param {number} pageIndex - Page index (1-based)
+   * @param {string} label - Zone label
+   * @param {boolean} immediately - Skip the animation
+   * @returns {boolean} Whether the zone could be shown
+   */
+  fitZone(pageIndex, label, immediately = false) {
+    if (!this.viewer) return false
+
+    const bounds = this.getZoneBounds(pageIndex, label)
+    if (!bounds) return false
+
+    const padding = this.config.zonePadding
+    this.viewer.viewport.fitBounds(new OpenSeadragon.Rect(
+      bounds.x - padding,
+      bounds.y - padding,
+      bounds.width + padding * 2,
+      bounds.height + padding * 2
+    ), immediately)
+
+    return true
+  }
+
+  /**
+   * Zoom to the active zone (wz route segment), if any
+   * @returns {boolean} Whether a zone was shown
+   */
+  fitActiveZone() {
+    if (!this.currentZoneLabel || !this.currentZonePageIndex) return false
+    return this.fitZone(this.currentZonePageIndex, this.currentZoneLabel)
+  }
+
+  /**
+   * Show the whole displayed spread again
+   */
+  fitSpread() {
+    if (!this.viewer) return
+    if (this.scrollMode && this.currentPageIndices?.length) {
+      const pages = this.currentPageIndices.map(pageIndex => this.currentPages[pageIndex - 1])
+      this.viewer.viewport.fitBounds(this.getPagesBounds(pages))
+    } else if (this.currentWorldBounds) {
+      this.viewer.viewport.fitBounds(this.currentWorldBounds)
+    }
+  }
+
+  /**
+   * Create metadata display element for a zone
+   * @param {Object} zone - The zone object
+   * @param {number} pageIndex - Page index of the zone (1-based)
+   * @returns {HTMLElement} List item containing metadata
+   */
+  createZoneMetadata(zone, pageIndex) {
+    const li = document.createElement('li')
+    li.className = 'zone-metadata'
+
+    // Build metadata HTML
+    let html = '<div class="metadata-content">'
+
+    // Sketch properties section
+    html += '<div class="metadata-section sketch-properties">'
+    html += `<div class="metadata-section-title">${this.t('zone.sketch')}:</div>`
+    
+    if (zone.sketchProps) {
+      const props = zone.sketchProps
+      
+      html += '<div class="metadata-section-content">'
+      // Staves and measures
+      html += '<div class="metadata-row">'
+      if (props.staves) {
+        const staves = Number(props.staves)
+        const stavesLabel = this.t('zone.staves', { count: staves })
+        html += `<span class="metadata-item"><strong>${this.t.number(staves)}</strong> ${stavesLabel}</span>`
+      }
+      if (props.atMeasures) {
+        const measures = Number(props.atMeasures)
+        const measuresLabel = this.t('zone.measures', { count: measures })
+        html += `<span class="metadata-item">~<strong>${this.t.number(measures)}</strong> ${measuresLabel}</span>`
+      }
+      html += '</div>'
+
+      // Key, meter, and tempo signatures
+      html += '<div class="metadata-row">'
+      if (props.keySig && props.keySig.val) {
+        const keySupplied = props.keySig.supplied ? ` <span class="supplied-indicator" title="${this.t('zone.supplied')}">*</span>` : ''
+        html += `<span class="metadata-item">${this.t('zone.keySig')}: <strong>${this.formatKeySig(props.keySig.val)}</strong>${keySupplied}</span>`
+      }
+      if (props.meterSig && props.meterSig.val) {
+        const meterSupplied = props.meterSig.supplied ? ` <span class="supplied-indicator" title="${this.t('zone.supplied')}">*</span>` : ''
+        html += `<span class="metadata-item">${this.t('zone.meterSig')}: <strong>${props.meterSig.val}</strong>${meterSupplied}</span>`
+      }
+      if (props.tempo) {
+        if (props.tempo.val) {
+          const tempoSupplied = props.tempo.supplied ? ` <span class="supplied-indicator" title="${this.t('zone.supplied')}">*</span>` : ''
+          html += `<span class="metadata-item">${this.t('zone.tempo')}: <strong>${props.tempo.val}</strong>${tempoSupplied}</span>`
+        } else {
+          html += `<span class="metadata-item">${this.t('zone.tempo')}: <strong>–</strong></span>`
+        }
+      }
+      html += '</div>'
+      
+      // Writing zones sequence (if present)
+      if (props.writingZones) {
+        const wzSequence = Array.isArray(props.writingZones) ? props.writingZones : [props.writingZones]
+        const currentGenDescId = zone.identifier?.genDescId
         
         html += '<div class="metadata-row wz-sequence">'
-        html += '<span class="metadata-item">Schreibzone: '
+        html += `<span class="metadata-item">${this.t('zone.writingZone')}: `
         
         wzSequence.forEach((genDescId, idx) => {
           if (idx > 0) html += ' → '
@@ -1544,14 +3015,9 @@ export class VideFacsRouter {
               html += `<strong class="active-wz">${zoneFullLabel}</strong>`
             } else {
               // Build link with current filter settings and proper page spec
-              const filterSpec = this.getFilterSpec()
               const pageSpec = this.getPageSpec(zoneLoc.pageIndex)
-              let zonePath = `/${this.currentManifestId}/p${pageSpec}/`
-              if (filterSpec) {
-                zonePath += `filter:${filterSpec}/`
-              }
-              zonePath += `wz${zoneLoc.pageIndex}.${zoneLoc.label}/`
-              html += `<a href="${this.basePath}${zonePath}" class="wz-link" data-page="${zoneLoc.pageIndex}" data-label="${zoneLoc.label}">${zoneFullLabel}</a>`
+              const zonePath = this.getPagePath(pageSpec, zoneLoc.pageIndex, zoneLoc.label)
+              html += `<a href="${zonePath}" class="wz-link" data-spa-link data-page="${zoneLoc.pageIndex}" data-label="${zoneLoc.label}">${zoneFullLabel}</a>`
             }
           } else {
             // genDescId not found in lookup
@@ -1571,7 +3037,7 @@ export class VideFacsRouter {
 
     // Writing zone properties section
     html += '<div class="metadata-section wz-properties">'
-    html += '<div class="metadata-section-title">Schreibzone:</div>'
+    html += `<div class="metadata-section-title">${this.t('zone.writingZone')}:</div>`
     
     if (zone.wzProps) {
       const wzProps = zone.wzProps
@@ -1579,24 +3045,24 @@ export class VideFacsRouter {
       html += '<div class="metadata-row">'
       
       if (wzProps.staves) {
-        html += `<span class="metadata-item"><span class="metadata-label">Zeile:</span> <strong>${wzProps.staves}</strong></span>`
+        html += `<span class="metadata-item"><span class="metadata-label">${this.t('zone.line')}:</span> <strong>${wzProps.staves}</strong></span>`
       }
       
       // Layers count
       if (wzProps.layers && wzProps.layers.length > 0) {
-        const layerLabel = wzProps.layers.length === 1 ? 'Schreibschicht' : 'Schreibschichten'
-        html += `<span class="metadata-item"><span class="metadata-label">${layerLabel}:</span> <strong>${wzProps.layers.length}</strong></span>`
+        const layerLabel = this.t('zone.layers', { count: wzProps.layers.length })
+        html += `<span class="metadata-item"><span class="metadata-label">${layerLabel}:</span> <strong>${this.t.number(wzProps.layers.length)}</strong></span>`
       }
       
       // Boolean properties - only show if true
       if (wzProps.metaNavigation) {
-        html += `<span class="metadata-item"><span class="metadata-label">Verweiszeichen:</span> <strong>✓</strong></span>`
+        html += `<span class="metadata-item"><span class="metadata-label">${this.t('zone.navigation')}:</span> <strong>✓</strong></span>`
       }
       if (wzProps.metaClarification) {
-        html += `<span class="metadata-item"><span class="metadata-label">Erläuterungen:</span> <strong>✓</strong></span>`
+        html += `<span class="metadata-item"><span class="metadata-label">${this.t('zone.clarification')}:</span> <strong>✓</strong></span>`
       }
       if (wzProps.otherMeta) {
-        html += `<span class="metadata-item"><span class="metadata-label">Sonstige Metatexte:</span> <strong>✓</strong></span>`
+        html += `<span class="metadata-item"><span class="metadata-label">${this.t('zone.otherMeta')}:</span> <strong>✓</strong></span>`
       }
       
       html += '</div>'
@@ -1608,12 +3074,12 @@ export class VideFacsRouter {
 
     // Work relations section (always show, even if empty)
     html += '<div class="metadata-section work-relations">'
-    html += '<div class="metadata-section-title">Mögliche Werkbezüge:</div>'
+    html += `<div class="metadata-section-title">${this.t('zone.workRelations')}:</div>`
     html += '<div class="metadata-section-content">'
     
     if (zone.workRelations && zone.workRelations.length > 0) {
       html += '<div class="metadata-section work-relations">'
-      html += '<div class="metadata-section-title">Mögliche Werkbezüge:</div>'
+      html += `<div class="metadata-section-title">${this.t('zone.workRelations')}:</div>`
       
       // Group all relations by work (opus + work title)
       const groupedRelations = new Map()
@@ -1656,22 +3122,24 @@ export class VideFacsRouter {
                            (target.start && target.start.mdivPos) ||
                            (target.end && target.end.mdivPos)
             if (mdivPos) {
-              movementText = `${mdivPos}. Satz`
+              movementText = this.t('zone.movement', { position: mdivPos })
             }
             
             // Show movement/section info based on what fields are present
             if (target.start && target.end) {
               // Measure range (has start/end)
-              targetText = movementText ? `${movementText}, T. ${target.start.label}–${target.end.label}` : `T. ${target.start.label}–${target.end.label}`
+              const range = this.t('zone.measureRange', { start: target.start.label, end: target.end.label })
+              targetText = movementText ? `${movementText}, ${range}` : range
             } else if (target.name === 'measure' && target.label) {
               // Single measure reference
-              targetText = movementText ? `${movementText}, T. ${target.label}` : `T. ${target.label}`
+              const measure = this.t('zone.measure', { label: target.label })
+              targetText = movementText ? `${movementText}, ${measure}` : measure
             } else if (target.name === 'mdiv') {
               // Movement reference only (no measures)
               if (target.mdivLabel && target.mdivLabel.trim() !== '') {
                 targetText = target.mdivLabel
               } else if (target.label) {
-                targetText = `${target.label}. Satz`
+                targetText = this.t('zone.movement', { position: target.label })
               }
             } else if (movementText) {
               // Just movement info
@@ -1693,10 +3161,10 @@ export class VideFacsRouter {
     html += '</div>' // Close metadata-section-content
     html += '</div>' // Close metadata-section
 
-    // Add button to open detail view
-    if (zone.identifier && zone.identifier.atFilename) {
+    // Add button to open the transcription panel
+    if (zone.identifier && zone.identifier.atFilename && this.config.transcriptionUrl) {
       html += '<div class="metadata-actions">'
-      html += `<button class="open-detail-btn" data-at-filename="${zone.identifier.atFilename}">Zeige Transkriptionen</button>`
+      html += `<button class="open-detail-btn" data-at-filename="${zone.identifier.atFilename}">${this.t('zone.showTranscriptions')}</button>`
       html += '</div>'
     }
 
@@ -1709,8 +3177,7 @@ export class VideFacsRouter {
       if (detailBtn) {
         detailBtn.addEventListener('click', (e) => {
           e.stopPropagation()
-          const atFilename = detailBtn.dataset.atFilename
-          alert(`Öffne ${atFilename}`)
+          this.openTranscription(zone, pageIndex)
         })
       }
     }, 0)
@@ -1718,6 +3185,148 @@ export class VideFacsRouter {
     return li
   }
 
+  /**
+   * Crop of a writing zone from the page's IIIF image service
+   * The zone keeps the margin used when zooming to it (config.zonePadding).
+   * @param {Object} page - Page object
+   * @param {Object} zone - Writing zone
+   * @param {number} size - Longest side of the image in pixels
+   * @returns {string|null} Image URL, or null for a zone without position
+   */
+  getZoneImageUrl(page, zone, size = 1000) {
+    const pos = zone.wzProps?.pos
+    if (!pos) return null
+
+    const baseUrl = page.target.replace(/\.(jpg|tif|tiff)$/i, '')
+    const { xywh, width, height } = page.px
+    const padding = this.config.zonePadding * xywh.w / page.mm.width
+    const x = Math.max(0, Math.round(xywh.x + pos.x - padding))
+    const y = Math.max(0, Math.round(xywh.y + pos.y - padding))
+    const w = Math.min(width - x, Math.round(pos.w + padding * 2))
+    const h = Math.min(height - y, Math.round(pos.h + padding * 2))
+
+    return `${baseUrl}/${x},${y},${w},${h}/!${size},${size}/0/default.jpg`
+  }
+
+  /**
+   * Open the transcription panel: the zone cropped from the facsimile beside
+   * its transcriptions engraved by Verovio (see transcription.js)
+   * @param {Object} zone - Writing zone with identifier.atFilename
+   * @param {number} pageIndex - Page index of the zone (1-based)
+   */
+  async openTranscription(zone, pageIndex) {
+    const panel = this.byId('transcription-panel')
+    const file = zone.identifier?.atFilename
+    const page = this.currentPages?.[pageIndex - 1]
+    if (!panel || !file || !page || !this.config.transcriptionUrl) return
+
+    // Supersede the transcription still loading, if any
+    const token = ++this.transcriptionToken
+    this.transcriptionController?.abort()
+    this.transcriptionController = new AbortController()
+    const { signal } = this.transcriptionController
+
+    panel.querySelector('.transcription-title').textContent =
+      `${this.t('zone.writingZone')} ${zone.label} · ${this.t('page.label', { page: pageIndex })}`
+    const image = panel.querySelector('.transcription-image')
+    const imageUrl = this.getZoneImageUrl(page, zone)
+    image.hidden = !imageUrl
+    image.src = imageUrl || ''
+    this.transcriptions = []
+    this.transcriptionVersion = null
+    panel.querySelector('.transcription-versions').hidden = true
+    panel.querySelector('.transcription-notation').innerHTML = ''
+    this.setTranscriptionStatus(this.t('transcription.loading'))
+    panel.hidden = false
+
+    try {
+      const [transcriptions, toolkit] = await Promise.all([
+        fetchTranscriptions(transcriptionUrls(this.config.transcriptionUrl, file), { signal }),
+        loadVerovio(this.config.verovioPath)
+      ])
+      if (token !== this.transcriptionToken) return
+      if (transcriptions.length === 0) throw new Error(this.t('transcription.missing', { file }))
+
+      this.verovio = toolkit
+      this.transcriptions = transcriptions
+
+      // Offer the switch only when both versions exist
+      const versions = panel.querySelector('.transcription-versions')
+      const available = transcriptions.map(transcription => transcription.version)
+      versions.hidden = available.filter(version => version).length < 2
+      versions.querySelectorAll('.transcription-version').forEach(button => {
+        button.disabled = !available.includes(button.dataset.version)
+      })
+
+      this.showTranscriptionVersion(transcriptions[0].version)
+    } catch (error) {
+      if (error.name === 'AbortError' || token !== this.transcriptionToken) return
+      console.error('Error loading transcription:', error)
+      this.emit('error', { edition: this.currentManifestId, message: error.message, error })
+      this.setTranscriptionStatus(this.t('transcription.error', { message: error.message }))
+    }
+  }
+
+  /**
+   * Engrave one of the loaded transcriptions
+   * @param {string|null} version - 'diplomatic', 'edited' or null for a single transcription
+   */
+  showTranscriptionVersion(version) {
+    const panel = this.byId('transcription-panel')
+    const transcription = this.transcriptions.find(item => item.version === version)
+    if (!panel || !transcription || !this.verovio) return
+
+    this.transcriptionVersion = version
+    panel.querySelectorAll('.transcription-version').forEach(button => {
+      button.classList.toggle('active', button.dataset.version === version)
+    })
+
+    const notation = panel.querySelector('.transcription-notation')
+    try {
+      notation.innerHTML = renderTranscription(this.verovio, transcription.mei, notation.clientWidth || 600).join('')
+      this.setTranscriptionStatus('')
+    } catch (error) {
+      console.error('Error rendering transcription:', error)
+      notation.innerHTML = ''
+      this.setTranscriptionStatus(this.t('transcription.error', { message: error.message }))
+    }
+  }
+
+  /**
+   * Show a loading or error message in the transcription panel
+   * @param {string} text - Message, empty to hide it
+   */
+  setTranscriptionStatus(text) {
+    const status = this.root.querySelector('#transcription-panel .transcription-status')
+    if (!status) return
+    status.textContent = text
+    status.hidden = !text
+  }
+
+  /**
+   * Close the transcription panel, cancelling a transcription still loading
+   */
+  closeTranscription() {
+    const panel = this.byId('transcription-panel')
+    if (!panel || panel.hidden) return
+    this.transcriptionToken++
+    this.transcriptionController?.abort()
+    panel.hidden = true
+  }
+
+  /**
+   * Wire the version switch and close button of the transcription panel
+   */
+  setupTranscriptionControls() {
+    const panel = this.byId('transcription-panel')
+    if (!panel) return
+
+    panel.querySelector('.transcription-close').addEventListener('click', () => this.closeTranscription())
+    panel.querySelectorAll('.transcription-version').forEach(button => {
+      button.addEventListener('click', () => this.showTranscriptionVersion(button.dataset.version))
+    })
+  }
+
   /**
    * Setup keyboard navigation for zones list
    */
@@ -1729,9 +3338,12 @@ export class VideFacsRouter {
     
     this.zoneKeyboardHandler = (e) => {
       // Only handle if zones list is visible and not typing in an input
-      if (e.target.tagName === 'INPUT' || e.target.tagName === 'TEXTAREA') return
+      if (!this.isActiveInstance()) return
+      // composedPath reaches into the shadow root, e.target is retargeted to the host
+      const target = e.composedPath()[0]
+      if (target.tagName === 'INPUT' || target.tagName === 'TEXTAREA') return
       
-      const zonesList = document.querySelector('.zones-list')
+      const zonesList = this.root.querySelector('.zones-list')
       if (!zonesList) return
       
       const zoneItems = Array.from(zonesList.querySelectorAll('.zone-item'))
@@ -1752,7 +3364,7 @@ export class VideFacsRouter {
       }
     }
     
-    document.addEventListener('keydown', this.zoneKeyboardHandler)
+    document.addEventListener('keydown', this.zoneKeyboardHandler, { signal: this.lifecycle.signal })
   }
 
   /**
@@ -1773,7 +3385,7 @@ export class VideFacsRouter {
    * Populate the notebook modal with actual page data
    */
   populateNotebookModal() {
-    const tbody = document.querySelector('#notebook-modal tbody')
+    const tbody = this.root.querySelector('#notebook-modal tbody')
     if (!tbody || !this.currentPages) return
 
     tbody.innerHTML = ''
@@ -1792,100 +3404,323 @@ export class VideFacsRouter {
       return `surface-group-${surfaceDocColors.get(surfaceDoc)}`
     }
 
-    let i = 0
-    while (i < this.currentPages.length) {
+    // One row per spread, verso on the left and recto on the right
+    const spreads = this.spreads || []
+    const currentPages = this.currentPageIndices || []
+    spreads.forEach(spread => {
       const tr = document.createElement('tr')
-      const manifestId = this.currentManifestId
-      
-      if (i === 0) {
-        // First page (recto only, right side)
-        const page = this.currentPages[0]
-        const pageNum = 1
-        const colorClass = getColorClass(page.surfaceDoc)
-        
-        // Empty verso cells
-        const emptyPageCell = document.createElement('td')
-        emptyPageCell.className = 'cell-page cell-empty'
-        tr.appendChild(emptyPageCell)
-        
-        const emptySourceCell = document.createElement('td')
-        emptySourceCell.className = 'cell-source cell-verso cell-empty'
-        tr.appendChild(emptySourceCell)
-        
-        // Recto preview cell
-        const rectoPreviewCell = document.createElement('td')
-        rectoPreviewCell.className = `cell-source cell-recto cell-preview ${colorClass}`
-        const rectoPreview = this.createPagePreview(page, pageNum)
-        rectoPreviewCell.appendChild(rectoPreview)
-        tr.appendChild(rectoPreviewCell)
-        
-        // Recto page number cell
-        const rectoPageCell = document.createElement('td')
-        rectoPageCell.className = `cell-page cell-right ${colorClass}`
+      const pageSpec = spreadSpec(spread)
+      // Rows take keyboard focus (see setupConcordanceControls)
+      tr.dataset.pages = pageSpec
+      tr.tabIndex = -1
+      if (!this.source && spread.some(pageIndex => currentPages.includes(pageIndex))) {
+        tr.classList.add('row-current')
+      }
+
+      let versoPageNum = null
+      let rectoPageNum = null
+      if (spread.length === 2) {
+        [versoPageNum, rectoPageNum] = spread
+      } else if (this.isVersoSlot(this.currentPages[spread[0] - 1])) {
+        versoPageNum = spread[0]
+      } else {
+        rectoPageNum = spread[0]
+      }
+
+      const versoPage = versoPageNum ? this.currentPages[versoPageNum - 1] : null
+      const rectoPage = rectoPageNum ? this.currentPages[rectoPageNum - 1] : null
+      const versoColorClass = versoPage ? getColorClass(versoPage.surfaceDoc) : ''
+      const rectoColorClass = rectoPage ? getColorClass(rectoPage.surfaceDoc) : ''
+
+      // Page number cell linking to the spread
+      const createPageCell = (pageNum, colorClass) => {
+        const cell = document.createElement('td')
+        if (!pageNum) {
+          cell.className = 'cell-page cell-empty'
+          return cell
+        }
+        cell.className = `cell-page cell-right ${colorClass}`
         const pageLink = document.createElement('a')
-        pageLink.href = `${this.basePath}/${manifestId}/p1/`
+        pageLink.href = this.getPagePath(this.getPageSpec(pageNum))
+        pageLink.dataset.spaLink = ''
         pageLink.className = 'page-link page-number'
         pageLink.textContent = pageNum
-        rectoPageCell.appendChild(pageLink)
-        tr.appendChild(rectoPageCell)
-        
-        i++
-      } else {
-        // Pairs of pages (verso + recto)
-        const versoPage = this.currentPages[i]
-        const rectoPage = this.currentPages[i + 1]
-        const versoPageNum = i + 1
-        const rectoPageNum = i + 2
-        const versoColorClass = versoPage ? getColorClass(versoPage.surfaceDoc) : ''
-        const rectoColorClass = rectoPage ? getColorClass(rectoPage.surfaceDoc) : ''
-        
-        // Verso page number cell
-        const versoPageCell = document.createElement('td')
-        versoPageCell.className = `cell-page cell-right ${versoColorClass}`
-        if (versoPage) {
-          const pageLink = document.createElement('a')
-          pageLink.href = `${this.basePath}/${manifestId}/p${versoPageNum}-${rectoPageNum}/`
-          pageLink.className = 'page-link page-number'
-          pageLink.textContent = versoPageNum
-          versoPageCell.appendChild(pageLink)
-        }
-        tr.appendChild(versoPageCell)
-        
-        // Verso preview cell
-        const versoPreviewCell = document.createElement('td')
-        versoPreviewCell.className = `cell-source cell-verso cell-preview ${versoColorClass}`
-        if (versoPage) {
-          const versoPreview = this.createPagePreview(versoPage, versoPageNum)
-          versoPreviewCell.appendChild(versoPreview)
-        }
-        tr.appendChild(versoPreviewCell)
-        
-        // Recto preview cell
-        const rectoPreviewCell = document.createElement('td')
-        rectoPreviewCell.className = `cell-source cell-recto cell-preview ${rectoColorClass}`
-        if (rectoPage) {
-          const rectoPreview = this.createPagePreview(rectoPage, rectoPageNum)
-          rectoPreviewCell.appendChild(rectoPreview)
-        }
-        tr.appendChild(rectoPreviewCell)
-        
-        // Recto page number cell
-        const rectoPageCell = document.createElement('td')
-        rectoPageCell.className = `cell-page cell-right ${rectoColorClass}`
-        if (rectoPage) {
-          const pageLink = document.createElement('a')
-          pageLink.href = `${this.basePath}/${manifestId}/p${versoPageNum}-${rectoPageNum}/`
-          pageLink.className = 'page-link page-number'
-          pageLink.textContent = rectoPageNum
-          rectoPageCell.appendChild(pageLink)
+        cell.appendChild(pageLink)
+        return cell
+      }
+
+      // Preview cell with thumbnail and source label
+      const createPreviewCell = (page, pageNum, side, colorClass) => {
+        const cell = document.createElement('td')
+        if (!page) {
+          cell.className = `cell-source cell-${side} cell-empty`
+          return cell
         }
-        tr.appendChild(rectoPageCell)
-        
-        i += 2
+        cell.className = `cell-source cell-${side} cell-preview ${colorClass}`
+        cell.appendChild(this.createPagePreview(page, pageNum))
+        return cell
       }
-      
+
+      tr.appendChild(createPageCell(versoPageNum, versoColorClass))
+      tr.appendChild(createPreviewCell(versoPage, versoPageNum, 'verso', versoColorClass))
+      tr.appendChild(createPreviewCell(rectoPage, rectoPageNum, 'recto', rectoColorClass))
+      tr.appendChild(createPageCell(rectoPageNum, rectoColorClass))
+
       tbody.appendChild(tr)
+    })
+
+    this.populateSourcesView()
+    this.filterConcordance()
+  }
+
+  /**
+   * Fill the modal's sources view: the pages of each source in the source's own
+   * order, linking to the source paged through and to the notebook position
+   */
+  populateSourcesView() {
+    const container = this.byId('sources-view')
+    if (!container || !this.currentPages) return
+
+    container.innerHTML = ''
+    const sources = this.sources || []
+    if (sources.length === 0) {
+      container.textContent = this.t('source.none')
+      return
     }
+
+    // Colours as in the notebook table, where sources also get them in order of appearance
+    sources.forEach((source, index) => {
+      const section = document.createElement('section')
+      section.className = 'source-group'
+
+      const heading = document.createElement('h3')
+      heading.className = `source-heading surface-group-${index % 8}`
+      const browseLink = document.createElement('a')
+      browseLink.href = this.getPagePath(`${source.pageIndices[0]}`, null, null, source.key)
+      browseLink.dataset.spaLink = ''
+      browseLink.title = this.t('source.browse')
+      browseLink.textContent = source.doc
+      const count = document.createElement('span')
+      count.className = 'source-count'
+      count.textContent = this.t('source.pageCount', { count: source.pageIndices.length })
+      heading.append(browseLink, count)
+
+      const list = document.createElement('ol')
+      list.className = 'source-pages'
+      source.pageIndices.forEach(pageIndex => {
+        const page = this.currentPages[pageIndex - 1]
+        const item = document.createElement('li')
+        item.className = 'source-page'
+        item.dataset.pages = `${pageIndex}`
+        item.tabIndex = -1
+        if (this.source === source.key && this.currentPageIndices?.includes(pageIndex)) {
+          item.classList.add('active')
+        }
+
+        const pageLink = document.createElement('a')
+        pageLink.href = this.getPagePath(`${pageIndex}`, null, null, source.key)
+        pageLink.dataset.spaLink = ''
+        pageLink.className = 'page-link source-page-link'
+        const img = document.createElement('img')
+        img.src = this.getIIIFThumbnail(page)
+        img.alt = ''
+        img.crossOrigin = 'anonymous'
+        img.className = 'page-preview-img'
+        const label = document.createElement('span')
+        label.textContent = page.surfaceLabel || pageIndex
+        pageLink.append(img, label)
+
+        const notebookLink = document.createElement('a')
+        notebookLink.href = this.getPagePath(this.getPageSpec(pageIndex, null), null, null, null)
+        notebookLink.dataset.spaLink = ''
+        notebookLink.className = 'page-link notebook-link'
+        notebookLink.textContent = this.t('source.toNotebook', { page: pageIndex })
+
+        item.append(pageLink, notebookLink)
+        list.appendChild(item)
+      })
+
+      section.append(heading, list)
+      container.appendChild(section)
+    })
+  }
+
+  /**
+   * Switch the notebook modal between notebook order and the sources
+   * @param {string} view - 'notebook' or 'sources'
+   */
+  showModalView(view) {
+    const modal = this.byId('notebook-modal')
+    if (!modal) return
+
+    this.modalView = view
+    modal.querySelector('.pages-table').hidden = view !== 'notebook'
+    this.byId('sources-view').hidden = view !== 'sources'
+    modal.querySelectorAll('.modal-view').forEach(button => {
+      button.classList.toggle('active', button.dataset.view === view)
+    })
+    this.filterConcordance()
+  }
+
+  /**
+   * Concordance of the edition (see concordance.js)
+   * @param {string} order - 'notebook' or 'source'
+   * @param {string} query - Only entries matching this search (see matchesConcordanceQuery)
+   * @returns {Array} Entries { page, spread, side, source, label }
+   */
+  getConcordance(order = 'notebook', query = '') {
+    if (!this.currentPages) return []
+    return buildConcordance(this.currentPages, this.spreads, order)
+      .filter(entry => matchesConcordanceQuery(entry, query))
+  }
+
+  /**
+   * Hide the modal's rows and pages not matching the search
+   * A spread is shown if one of its pages matches.
+   */
+  filterConcordance() {
+    const modal = this.byId('notebook-modal')
+    if (!modal || !this.currentPages) return
+
+    const matching = new Set(this.getConcordance('notebook', this.concordanceQuery).map(entry => entry.page))
+    const matches = item => item.dataset.pages.split('-').some(pageIndex => matching.has(parseInt(pageIndex, 10)))
+
+    modal.querySelectorAll('.pages-table tbody tr[data-pages]').forEach(tr => {
+      tr.hidden = !matches(tr)
+    })
+    modal.querySelectorAll('.source-group').forEach(section => {
+      const items = [...section.querySelectorAll('.source-page')]
+      items.forEach(item => { item.hidden = !matches(item) })
+      section.hidden = items.every(item => item.hidden)
+    })
+
+    const count = this.byId('concordance-count')
+    if (count) {
+      count.textContent = this.concordanceQuery
+        ? this.t('concordance.count', { count: matching.size, total: this.currentPages.length })
+        : ''
+    }
+    const empty = this.byId('concordance-empty')
+    if (empty) empty.hidden = matching.size > 0
+  }
+
+  /**
+   * Rows (notebook view) or pages (sources view) of the modal that can take focus
+   * @returns {Array<HTMLElement>}
+   */
+  getConcordanceItems() {
+    const selector = this.modalView === 'sources'
+      ? '#sources-view .source-page'
+      : '.pages-table tbody tr[data-pages]'
+    return [...this.root.querySelectorAll(`#notebook-modal ${selector}`)]
+      .filter(item => !item.closest('[hidden]'))
+  }
+
+  /**
+   * Focus the current spread in the modal, or the first item shown
+   */
+  focusCurrentConcordanceItem() {
+    const items = this.getConcordanceItems()
+    const item = items.find(item => item.matches('.row-current, .active')) || items[0]
+    if (!item) return
+    item.focus({ preventScroll: true })
+    item.scrollIntoView({ block: 'center' })
+  }
+
+  /**
+   * Offer a text as a file download
+   * @param {string} filename - Suggested file name
+   * @param {string} type - MIME type
+   * @param {string} content - File content
+   */
+  downloadFile(filename, type, content) {
+    const url = URL.createObjectURL(new Blob([content], { type }))
+    const link = document.createElement('a')
+    link.href = url
+    link.download = filename
+    link.hidden = true
+    this.root.appendChild(link)
+    link.click()
+    link.remove()
+    setTimeout(() => URL.revokeObjectURL(url), 0)
+  }
+
+  /**
+   * Download the concordance as shown in the modal (order and search)
+   * @param {string} format - 'csv' or 'json'
+   */
+  exportConcordance(format) {
+    const order = this.modalView === 'sources' ? 'source' : 'notebook'
+    const entries = this.getConcordance(order, this.concordanceQuery)
+    const edition = this.currentManifestId || 'edition'
+
+    if (format === 'json') {
+      const content = concordanceToJson(entries, {
+        edition,
+        label: this.config.editions[edition]?.label || edition,
+        order,
+        query: this.concordanceQuery || null
+      })
+      this.downloadFile(`${edition}-concordance.json`, 'application/json', content)
+    } else {
+      this.downloadFile(`${edition}-concordance.csv`, 'text/csv;charset=utf-8', concordanceToCsv(entries))
+    }
+  }
+
+  /**
+   * Wire search, export and keyboard navigation of the notebook modal
+   * Up/down (and left/right in the sources view) move between spreads or pages,
+   * Home/End jump to the first or last, Enter opens the focused one.
+   * @param {HTMLElement} modal - The notebook modal
+   */
+  setupConcordanceControls(modal) {
+    const search = this.byId('concordance-search')
+    if (search) {
+      search.value = this.concordanceQuery
+      search.addEventListener('input', () => {
+        this.concordanceQuery = search.value.trim()
+        this.filterConcordance()
+      })
+    }
+
+    this.byId('concordance-csv')?.addEventListener('click', () => this.exportConcordance('csv'))
+    this.byId('concordance-json')?.addEventListener('click', () => this.exportConcordance('json'))
+
+    modal.addEventListener('keydown', (e) => {
+      // composedPath reaches into the shadow root, e.target is retargeted to the host
+      const target = e.composedPath()[0]
+      const items = this.getConcordanceItems()
+      const item = target.closest?.('[data-pages]')
+      const index = items.indexOf(item)
+
+      const steps = { ArrowDown: 1, ArrowUp: -1 }
+      // Left/right step through the page grid, but move the caret in the search box
+      if (this.modalView === 'sources' && target !== search) {
+        Object.assign(steps, { ArrowRight: 1, ArrowLeft: -1 })
+      }
+
+      let next
+      if (e.key in steps) {
+        next = index === -1 ? items[0] : items[Math.min(Math.max(index + steps[e.key], 0), items.length - 1)]
+      } else if ((e.key === 'Home' || e.key === 'End') && target !== search) {
+        next = e.key === 'Home' ? items[0] : items[items.length - 1]
+      } else if (e.key === 'Enter' && item && item === target) {
+        // Follow the page link (closes the modal, see setupZoomControls)
+        e.preventDefault()
+        item.querySelector('a[data-spa-link]')?.click()
+        return
+      } else {
+        return
+      }
+
+      // Keep the arrows away from the zones list (see setupZoneKeyboardNavigation)
+      e.preventDefault()
+      e.stopPropagation()
+      if (next) {
+        next.focus({ preventScroll: true })
+        next.scrollIntoView({ block: 'nearest' })
+      }
+    })
   }
 
   /**
@@ -1910,7 +3745,7 @@ export class VideFacsRouter {
     label.className = 'page-preview-label'
     const surfaceDoc = page.surfaceDoc || ''
     const surfaceLabel = page.surfaceLabel || ''
-    label.textContent = surfaceDoc && surfaceLabel ? `${surfaceDoc}: ${surfaceLabel}` : `Seite ${pageNum}`
+    label.textContent = surfaceDoc && surfaceLabel ? `${surfaceDoc}: ${surfaceLabel}` : this.t('page.label', { page: pageNum })
     
     container.appendChild(img)
     container.appendChild(label)
@@ -1922,12 +3757,16 @@ export class VideFacsRouter {
    * Setup zoom controls and modal
    */
   setupZoomControls() {
-    const zoomInBtn = document.getElementById('zoom-in')
-    const zoomOutBtn = document.getElementById('zoom-out')
-    const toggleMarginsBtn = document.getElementById('toggle-margins')
-    const openModalBtn = document.getElementById('open-modal')
-    const closeModalBtn = document.getElementById('close-modal')
-    const modal = document.getElementById('notebook-modal')
+    const zoomInBtn = this.byId('zoom-in')
+    const zoomOutBtn = this.byId('zoom-out')
+    const fitSpreadBtn = this.byId('fit-spread')
+    const toggleLayoutBtn = this.byId('toggle-layout')
+    const toggleScrollBtn = this.byId('toggle-scroll')
+    const toggleCompareBtn = this.byId('toggle-compare')
+    const toggleMarginsBtn = this.byId('toggle-margins')
+    const openModalBtn = this.byId('open-modal')
+    const closeModalBtn = this.byId('close-modal')
+    const modal = this.byId('notebook-modal')
 
     if (zoomInBtn && this.viewer) {
       zoomInBtn.addEventListener('click', () => {
@@ -1943,8 +3782,49 @@ export class VideFacsRouter {
       })
     }
 
-    // Toggle margin clipping
+    // Back to the whole spread (e.g. after zooming to a zone)
+    if (fitSpreadBtn) {
+      fitSpreadBtn.addEventListener('click', () => this.fitSpread())
+    }
+
+    // Cycle through spread, single page and auto layout
+    if (toggleLayoutBtn) {
+      this.updateLayoutControl()
+      toggleLayoutBtn.addEventListener('click', () => {
+        const next = layoutModes[(layoutModes.indexOf(this.layout) + 1) % layoutModes.length]
+        this.setLayout(next)
+      })
+    }
+
+    // Measuring mode with its panel
+    this.setupMeasureControls()
+
+    // Actual size zoom and screen calibration
+    this.setupScaleControls()
+
+    // Image adjustments panel
+    this.setupEnhanceControls()
+
+    // Transcriptions of the selected zone
+    this.setupTranscriptionControls()
+
+    // Show the current spread beside itself to start comparing, or close the comparison
+    if (toggleCompareBtn) {
+      toggleCompareBtn.classList.toggle('active', !!this.compare)
+      toggleCompareBtn.addEventListener('click', () => {
+        this.setCompare(this.compare ? null : { edition: this.currentManifestId, pageSpec: this.getState().pageSpec })
+      })
+    }
+
+    // Switch between paging and continuous scrolling
+    if (toggleScrollBtn) {
+      toggleScrollBtn.classList.toggle('active', this.scrollMode)
+      toggleScrollBtn.addEventListener('click', () => this.setScrollMode(!this.scrollMode))
+    }
+
+    // Toggle margin clipping (kept when the viewer is rendered again)
     if (toggleMarginsBtn) {
+      toggleMarginsBtn.classList.toggle('active', !!this.clipMargins)
       toggleMarginsBtn.addEventListener('click', () => {
         // Toggle the clipping state
         this.clipMargins = !this.clipMargins
@@ -1962,7 +3842,7 @@ export class VideFacsRouter {
           const hideCenter = this.clipMargins
           
           pages.forEach((page, index) => {
-            const tiledImage = this.viewer.world.getItemAt(index)
+            const tiledImage = this.tiledImages?.get(page)
             if (tiledImage) {
               if (hideCenter) {
                 // Calculate the clip rect in image pixel coordinates
@@ -1990,7 +3870,24 @@ export class VideFacsRouter {
     if (openModalBtn && modal) {
       openModalBtn.addEventListener('click', () => {
         this.populateNotebookModal()
+        this.showModalView(this.source ? 'sources' : 'notebook')
         modal.style.display = 'flex'
+        this.focusCurrentConcordanceItem()
+      })
+    }
+
+    // Search, export and keyboard navigation
+    if (modal) {
+      this.setupConcordanceControls(modal)
+    }
+
+    // Switch between notebook order and the sources
+    if (modal) {
+      modal.querySelectorAll('.modal-view').forEach(button => {
+        button.addEventListener('click', () => {
+          this.showModalView(button.dataset.view)
+          this.focusCurrentConcordanceItem()
+        })
       })
     }
 
@@ -2001,23 +3898,127 @@ export class VideFacsRouter {
       })
     }
 
-    // Close modal on Escape key
+    // Close modal when following one of its page links
+    if (modal) {
+      modal.addEventListener('click', (e) => {
+        if (e.target.closest('a[data-spa-link]')) {
+          modal.style.display = 'none'
+        }
+      })
+    }
+
+    // Close modal on Escape key (removed with the viewer)
     document.addEventListener('keydown', (e) => {
+      if (!this.isActiveInstance()) return
       if (e.key === 'Escape' && modal && modal.style.display === 'flex') {
         modal.style.display = 'none'
       }
+      if (e.key === 'Escape') {
+        this.closeCalibration()
+        this.closeTranscription()
+      }
+    }, { signal: this.viewerListeners.signal })
+  }
+
+  /**
+   * Show the spread containing a page
+   * @param {number} pageIndex - Page index (1-based)
+   * @returns {boolean} Whether the page exists
+   */
+  goToPage(pageIndex) {
+    if (!this.currentPages?.[pageIndex - 1]) return false
+    this.navigate(this.getPagePath(this.getPageSpec(pageIndex)))
+    return true
+  }
+
+  /**
+   * Show the spread containing a writing zone and select the zone
+   * @param {number} pageIndex - Page index (1-based)
+   * @param {string} label - Zone label
+   * @returns {boolean} Whether the zone exists
+   */
+  goToZone(pageIndex, label) {
+    const page = this.currentPages?.[pageIndex - 1]
+    if (!page || !(page.writingZones || []).some(zone => zone.label === `${label}`)) return false
+    this.navigate(this.getPagePath(this.getPageSpec(pageIndex), pageIndex, `${label}`))
+    return true
+  }
+
+  /**
+   * Replace the facet filters (see filters.js), e.g. { key: ['3f'], staves: ['2'] }
+   * Facets not given are cleared.
+   * @param {Object} filters - Facet name -> array of values
+   * @param {boolean} [allPages] - Search all pages instead of the current spread
+   */
+  setFilters(filters = {}, allPages) {
+    const next = emptyFilters()
+    Object.keys(next).forEach(facet => {
+      next[facet] = [].concat(filters[facet] || []).map(value => `${value}`)
     })
+
+    if (allPages !== undefined) {
+      this.restrictToCurrentPage = !allPages
+      const restrictCheckbox = this.byId('restrict-to-current-page')
+      if (restrictCheckbox) restrictCheckbox.checked = this.restrictToCurrentPage
+    }
+
+    const filterPanel = this.root.querySelector('.panel-section[data-panel="filter"]')
+    if (filterPanel) writeFilterForm(filterPanel, next)
+
+    this.applyFilters(next)
+  }
+
+  /**
+   * Zoom the viewer
+   * @param {number} zoom - OpenSeadragon zoom level: viewer widths per mm, so 1 shows
+   *   1 mm across the viewer and a fitted spread is at about 1/300 (see getState().zoom)
+   * @param {Object} [center] - { x, y } in mm to center the view on
+   * @param {boolean} immediately - Skip the animation
+   */
+  zoomTo(zoom, center = null, immediately = false) {
+    if (!this.viewer) return
+    if (center) {
+      this.viewer.viewport.panTo(new OpenSeadragon.Point(center.x, center.y), immediately)
+    }
+    this.viewer.viewport.zoomTo(zoom, null, immediately)
+  }
+
+  /**
+   * Get the current view state
+   * @returns {Object} { edition, pageSpec, layout, scroll, source, pages, zone, filters, allPages, enhancement, compare, zoom }
+   */
+  getState() {
+    const zone = this.currentZoneLabel && this.currentZonePageIndex
+      ? { pageIndex: this.currentZonePageIndex, label: this.currentZoneLabel }
+      : null
+
+    return {
+      edition: this.currentManifestId || null,
+      pageSpec: this.currentPageSpec || (this.currentPages ? this.getPageSpec(1) : null),
+      layout: this.layout,
+      scroll: this.scrollMode,
+      source: findSource(this.sources || [], this.source)?.doc || null,
+      pages: [...(this.currentPageIndices || [])],
+      zone,
+      filters: JSON.parse(JSON.stringify(this.filters)),
+      allPages: this.restrictToCurrentPage === false,
+      enhancement: { ...this.enhancement },
+      compare: this.compare ? { ...this.compare } : null,
+      zoom: this.viewer ? this.viewer.viewport.getZoom() : null
+    }
   }
 
   /**
    * Render 404 page
    */
   renderNotFound(path) {
+    this.emit('error', { message: `Not found: ${path}`, path })
     this.contentEl.setContent(
       templates.error(
-        '404 - Not Found',
-        `The path <code>${path}</code> was not found.`,
-        `${this.basePath}/`
+        this.t,
+        this.t('error.notFoundTitle'),
+        this.t('error.notFoundMessage', { path }),
+        this.href('/')
       )
     )
   }
@@ -1,14 +1,37 @@
+import { resolveConfig } from './config.js';
+import { VideFacsRouter } from './vide-facs-router.js';
+
 /**
  * Test1App Component
  * Main container component for the Test1 SPA island
+ *
+ * Configuration is read from attributes (base-path, vendor-path, editions,
+ * edition-url, default-edition) or from a `config` object assigned before
+ * the element is connected. See config.js for details.
+ *
+ * The viewer lives in a shadow root, so several instances can coexist on a
+ * page and host-page CSS does not leak in. Styles are loaded from the
+ * `stylesheet` setting into the shadow root.
+ *
+ * Host code drives the viewer through the methods below and listens for
+ * `vide-facs:pagechange`, `zonechange`, `filterchange`, `editionload` and
+ * `error` events.
  */
 export class VideFacs extends HTMLElement {
   constructor() {
     super();
     this.router = null;
+    this.attachShadow({ mode: 'open' });
   }
 
   connectedCallback() {
+    const config = resolveConfig(this);
+
+    // Load styles into the shadow root
+    const stylesheet = document.createElement('link');
+    stylesheet.rel = 'stylesheet';
+    stylesheet.href = config.stylesheet;
+
     // Create container
     const container = document.createElement('div');
     container.className = 'vide-facs-container';
@@ -17,14 +40,143 @@ export class VideFacs extends HTMLElement {
     const content = document.createElement('vide-facs-content');
 
     container.appendChild(content);
-    this.appendChild(container);
+    this.shadowRoot.replaceChildren(stylesheet, container);
 
     // Wait for child components to connect, then initialize router
-    setTimeout(() => {
-      // VideFacsRouter is imported globally via index.js
-      const VideFacsRouter = window.VideFacsRouter;
-      this.router = new VideFacsRouter(this);
-      window.router = this.router;
+    this.routerTimer = setTimeout(() => {
+      this.routerTimer = null;
+      this.router = new VideFacsRouter(this, config);
     }, 100);
   }
+
+  disconnectedCallback() {
+    // Destroy the viewer and detach all listeners; connecting again starts afresh
+    clearTimeout(this.routerTimer);
+    this.routerTimer = null;
+    if (this.router) {
+      this.router.destroy();
+      this.router = null;
+    }
+    this.shadowRoot.replaceChildren();
+  }
+
+  /**
+   * Get the router, warning if it has not been created yet
+   * @returns {VideFacsRouter|null}
+   */
+  requireRouter() {
+    if (!this.router) {
+      console.warn('[VideFacs] Not ready yet, wait for the vide-facs:editionload event');
+    }
+    return this.router;
+  }
+
+  /**
+   * Show the spread containing a page
+   * @param {number} pageIndex - Page index (1-based)
+   * @returns {boolean} Whether the page exists
+   */
+  goToPage(pageIndex) {
+    return this.requireRouter()?.goToPage(pageIndex) ?? false;
+  }
+
+  /**
+   * Show the spread containing a writing zone and select the zone
+   * @param {number} pageIndex - Page index (1-based)
+   * @param {string} label - Zone label
+   * @returns {boolean} Whether the zone exists
+   */
+  goToZone(pageIndex, label) {
+    return this.requireRouter()?.goToZone(pageIndex, label) ?? false;
+  }
+
+  /**
+   * Replace the facet filters, e.g. { key: ['3f'], staves: ['2'] }
+   * @param {Object} filters - Facet name -> array of values
+   * @param {boolean} [allPages] - Search all pages instead of the current spread
+   */
+  setFilters(filters, allPages) {
+    this.requireRouter()?.setFilters(filters, allPages);
+  }
+
+  /**
+   * Get the current view state
+   * @returns {Object|null} { edition, pageSpec, pages, zone, filters, allPages, zoom }
+   *   (zoom in the unit of zoomTo)
+   */
+  getState() {
+    return this.requireRouter()?.getState() ?? null;
+  }
+
+  /**
+   * Zoom the viewer to a writing zone on the displayed spread
+   * @param {number} pageIndex - Page index (1-based)
+   * @param {string} label - Zone label
+   * @returns {boolean} Whether the zone is displayed
+   */
+  fitZone(pageIndex, label) {
+    return this.requireRouter()?.fitZone(pageIndex, `${label}`) ?? false;
+  }
+
+  /**
+   * Zoom the viewer
+   * @param {number} zoom - OpenSeadragon zoom level: viewer widths per mm, so 1 shows
+   *   1 mm across the viewer and a fitted spread is at about 1/300 (see getState().zoom)
+   * @param {Object} [center] - { x, y } in mm to center the view on
+   */
+  zoomTo(zoom, center) {
+    this.requireRouter()?.zoomTo(zoom, center);
+  }
+
+  /**
+   * Zoom so that the facsimile appears in its physical size
+   * Opens the screen calibration first if the screen was not calibrated yet.
+   * @returns {boolean} Whether the viewer was zoomed
+   */
+  zoomToActualSize() {
+    return this.requireRouter()?.zoomToActualSize() ?? false;
+  }
+
+  /**
+   * Change the image adjustments, e.g. { greyscale: true, contrast: 40 }
+   * @param {Object} settings - Settings of enhance.js, missing keys take the default
+   */
+  setEnhancement(settings) {
+    this.requireRouter()?.setEnhancement(settings);
+  }
+
+  /**
+   * Switch between paging spread by spread and continuous scrolling
+   * @param {boolean} enabled - Whether to scroll through all spreads
+   */
+  setScrollMode(enabled) {
+    this.requireRouter()?.setScrollMode(enabled);
+  }
+
+  /**
+   * Get the concordance of notebook pages and sources
+   * @param {string} [order] - 'notebook' or 'source'
+   * @returns {Array} Entries { page, spread, side, source, label }
+   */
+  getConcordance(order) {
+    return this.requireRouter()?.getConcordance(order) ?? [];
+  }
+
+  /**
+   * Page through a physical source in its own order, or return to the notebook
+   * @param {string|null} source - Source name (page.surfaceDoc), null for the notebook
+   * @param {number} [pageIndex] - Page to show (1-based)
+   * @returns {boolean} Whether the source exists
+   */
+  setSource(source, pageIndex) {
+    return this.requireRouter()?.setSource(source, pageIndex) ?? false;
+  }
+
+  /**
+   * Show a spread beside the viewer, e.g. { edition: 'NK', pageSpec: '8-9', linked: true }
+   * @param {Object|null} compare - Spread to compare with, null to close the comparison
+   */
+  setCompare(compare) {
+    this.requireRouter()?.setCompare(compare);
+  }
 }